@@ -0,0 +1,90 @@
+/* global PersianCalendar */
+/* Persian Calendar Archive - read-only Jalali month grid linking days with published posts */
+(function () {
+  'use strict';
+
+  const { jalaliToGregorian, fromZonedParts, daysInMonth } = window.PersianDateConverter;
+
+  const parseDays = (json) => {
+    try {
+      return JSON.parse(json || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  };
+
+  const initArchiveCalendar = (block) => {
+    const container = block.querySelector('.persian-calendar-container');
+    if (!container || block.dataset.persianCalendarReady) return;
+    block.dataset.persianCalendarReady = 'true';
+
+    const postType = block.dataset.postType || 'post';
+    const restUrl = block.dataset.restUrl;
+    const year = parseInt(block.dataset.year, 10);
+    const month = parseInt(block.dataset.month, 10);
+    // Years the REST route answers for
+    const minYear = parseInt(block.dataset.minYear, 10) || 1300;
+    const maxYear = parseInt(block.dataset.maxYear, 10) || 1500;
+
+    // Days with posts per month, keyed "year-month"; the current month is printed by PHP
+    const months = {};
+    months[`${year}-${month}`] = parseDays(block.dataset.days);
+    // Months being fetched, so paging back and forth doesn't repeat a request
+    const pending = {};
+    let calendar = null;
+
+    const loadMonth = (jy, jm) => {
+      const key = `${jy}-${jm}`;
+      if (months[key] || pending[key] || !restUrl) return;
+
+      pending[key] = true;
+      block.setAttribute('aria-busy', 'true');
+      const url = `${restUrl}${jy}/${jm}?post_type=${encodeURIComponent(postType)}`;
+      window.fetch(url, { credentials: 'same-origin' })
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        // Failures are not cached, so returning to the month tries again
+        .then((data) => { months[key] = data.days || {}; }, () => {})
+        .then(() => {
+          delete pending[key];
+          if (!Object.keys(pending).length) block.removeAttribute('aria-busy');
+          // Redraw only if the visitor is still on that month
+          if (calendar.currentYear === jy && calendar.currentMonth === jm) calendar.updateCalendarView();
+        });
+    };
+
+    const [gy, gm, gd] = jalaliToGregorian(year, month, 1);
+    calendar = new PersianCalendar(container, {
+      readOnly: true,
+      minDate: { year: minYear, month: 1, day: 1 },
+      maxDate: { year: maxYear, month: 12, day: daysInMonth(maxYear, 12) },
+      selectedDate: fromZonedParts({ year: gy, month: gm, day: gd, hour: 12, minute: 0 }),
+      renderDay: (cell, date) => {
+        const days = months[`${date.year}-${date.month}`] || {};
+        const entry = days[date.day];
+        if (!entry || !entry.url) return;
+
+        const link = document.createElement('a');
+        link.className = 'persian-calendar-day-link';
+        link.href = entry.url;
+        link.tabIndex = -1;
+        while (cell.firstChild) link.appendChild(cell.firstChild);
+        cell.appendChild(link);
+        cell.classList.add('has-posts');
+      },
+      onMonthChange: ({ year: jy, month: jm }) => loadMonth(jy, jm)
+    });
+  };
+
+  const init = () => {
+    document.querySelectorAll('.wp-block-persian-calendar-archive-calendar').forEach(initArchiveCalendar);
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
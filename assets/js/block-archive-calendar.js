@@ -0,0 +1,53 @@
+/* global wp, PersianCalendar */
+/* Persian Calendar Archive block - editor preview; the front end is archive-calendar.js */
+(function () {
+  'use strict';
+
+  const { registerBlockType } = wp.blocks;
+  const { createElement: el, Fragment, useEffect, useRef } = wp.element;
+  const { InspectorControls, useBlockProps } = wp.blockEditor;
+  const { PanelBody, SelectControl } = wp.components;
+  const { useSelect } = wp.data;
+  const { __ } = wp.i18n;
+
+  // Days are linked on the front end only, where the post counts are loaded
+  const ArchivePreview = () => {
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+      const calendar = new PersianCalendar(containerRef.current, { readOnly: true });
+      return () => calendar.destroy();
+    }, []);
+
+    return el('div', { className: 'persian-calendar-container', ref: containerRef });
+  };
+
+  const Edit = ({ attributes, setAttributes }) => {
+    const { postType } = attributes;
+    const postTypes = useSelect((select) => select('core').getPostTypes({ per_page: -1 }), []);
+    const blockProps = useBlockProps();
+
+    const options = (postTypes || [])
+      .filter((type) => type.viewable && type.slug !== 'attachment')
+      .map((type) => ({ value: type.slug, label: type.name }));
+
+    return el(Fragment, null,
+      el(InspectorControls, null,
+        el(PanelBody, { title: __('Settings', 'persian-calendar') },
+          el(SelectControl, {
+            label: __('Post type', 'persian-calendar'),
+            value: postType,
+            options: options.length ? options : [{ value: postType, label: postType }],
+            onChange: (next) => setAttributes({ postType: next })
+          })
+        )
+      ),
+      el('div', blockProps, el(ArchivePreview))
+    );
+  };
+
+  registerBlockType('persian-calendar/archive-calendar', {
+    edit: Edit,
+    save: () => null
+  });
+})();
@@ -0,0 +1,113 @@
+/* global wp */
+/* Persian Calendar Jalali Date block - editor preview; the front end is PERSCA_Blocks::render_jalali_date_block */
+(function () {
+  'use strict';
+
+  const { registerBlockType } = wp.blocks;
+  const { createElement: el, Fragment, useState } = wp.element;
+  const { InspectorControls, useBlockProps } = wp.blockEditor;
+  const { BaseControl, PanelBody, SelectControl, TextControl, ToggleControl } = wp.components;
+  const { useEntityProp } = wp.coreData;
+  const ServerSideRender = wp.serverSideRender;
+  const { __ } = wp.i18n;
+
+  const converter = window.PersianDateConverter;
+  const { JalaliDateTimePicker } = window.persianCalendar.components;
+
+  // Tokens PERSCA_Date_Converter::format_date renders the same way as the JS converter
+  const FORMAT_PRESETS = ['j F Y', 'l j F Y', 'j F Y H:i', 'Y/m/d', 'F Y'];
+
+  const Edit = ({ attributes, setAttributes, context }) => {
+    const { source, customDate, format, persianDigits, relative, isLink } = attributes;
+    const [postDate] = useEntityProp('postType', context.postType, 'date', context.postId);
+    const [modifiedDate] = useEntityProp('postType', context.postType, 'modified', context.postId);
+    const [isCustomFormat, setIsCustomFormat] = useState(FORMAT_PRESETS.indexOf(format) === -1);
+    const blockProps = useBlockProps();
+
+    const sources = { publish: postDate, modified: modifiedDate, custom: customDate };
+    // Templates without a post show today's date, like core's Post Date block
+    const value = sources[source] || (source === 'custom' ? null : new Date());
+
+    let preview;
+    if (!value) {
+      preview = el('span', null, __('Choose a date in the block settings', 'persian-calendar'));
+    } else if (relative) {
+      // Relative phrases come from PHP, so the preview matches the published page
+      preview = el(ServerSideRender, {
+        block: 'persian-calendar/jalali-date',
+        attributes,
+        urlQueryArgs: context.postId ? { post_id: context.postId } : {}
+      });
+    } else {
+      preview = el('time', null, converter.format(value, format || 'j F Y', { persianDigits }));
+      if (isLink) {
+        preview = el('a', { href: '#', onClick: (event) => event.preventDefault() }, preview);
+      }
+    }
+
+    const sample = new Date();
+
+    return el(Fragment, null,
+      el(InspectorControls, null,
+        el(PanelBody, { title: __('Settings', 'persian-calendar') },
+          el(SelectControl, {
+            label: __('Date', 'persian-calendar'),
+            value: source,
+            options: [
+              { value: 'publish', label: __('Publish date', 'persian-calendar') },
+              { value: 'modified', label: __('Last modified date', 'persian-calendar') },
+              { value: 'custom', label: __('Custom date', 'persian-calendar') }
+            ],
+            onChange: (next) => setAttributes({ source: next })
+          }),
+          source === 'custom' && el(BaseControl, { label: __('Custom date', 'persian-calendar') },
+            el(JalaliDateTimePicker, {
+              value: customDate,
+              onChange: (next) => setAttributes({ customDate: next })
+            })
+          ),
+          el(ToggleControl, {
+            label: __('Relative time', 'persian-calendar'),
+            help: __('Show the date as e.g. "3 days ago".', 'persian-calendar'),
+            checked: !!relative,
+            onChange: (next) => setAttributes({ relative: next })
+          }),
+          !relative && el(SelectControl, {
+            label: __('Format', 'persian-calendar'),
+            value: isCustomFormat ? 'custom' : format,
+            options: FORMAT_PRESETS.map((preset) => ({
+              value: preset,
+              label: converter.format(sample, preset, { persianDigits })
+            })).concat({ value: 'custom', label: __('Custom format', 'persian-calendar') }),
+            onChange: (next) => {
+              setIsCustomFormat(next === 'custom');
+              if (next !== 'custom') setAttributes({ format: next });
+            }
+          }),
+          !relative && isCustomFormat && el(TextControl, {
+            label: __('Custom format', 'persian-calendar'),
+            help: __('PHP date tokens: Y year, m/n month, F month name, d/j day, l weekday, H:i time.', 'persian-calendar'),
+            value: format,
+            onChange: (next) => setAttributes({ format: next })
+          }),
+          el(ToggleControl, {
+            label: __('Persian digits', 'persian-calendar'),
+            checked: !!persianDigits,
+            onChange: (next) => setAttributes({ persianDigits: next })
+          }),
+          el(ToggleControl, {
+            label: __('Link to the day archive', 'persian-calendar'),
+            checked: !!isLink,
+            onChange: (next) => setAttributes({ isLink: next })
+          })
+        )
+      ),
+      el('div', blockProps, preview)
+    );
+  };
+
+  registerBlockType('persian-calendar/jalali-date', {
+    edit: Edit,
+    save: () => null
+  });
+})();
@@ -11,9 +11,16 @@
 (function($) {
     'use strict';
     
+    var pad2 = function(value) {
+        return (value < 10 ? '0' : '') + value;
+    };
+    
     // EDD Persian Calendar Integration
     var EDDPersianCalendar = {
         
+        // Formatted dates of this page, keyed by format and time, so repeated rows convert once
+        localCache: {},
+        
         /**
          * Initialize EDD Persian calendar functionality
          */
@@ -215,74 +222,89 @@
         
         /**
          * Convert date range text to Persian
-         * @param {string} dateText - The date text to convert
+         * @param {string} dateText - The date text to convert, e.g. "31 August 2025 - 15 September 2025"
          * @returns {string|null} - Converted Persian date text or null
          */
         convertDateRangeText: function(dateText) {
             var self = this;
-            
-            try {
-                // Handle date ranges (e.g., "31 August 2025 - 15 September 2025")
-                if (dateText.includes(' - ')) {
-                    var parts = dateText.split(' - ');
-                    if (parts.length === 2) {
-                        var startDate = self.convertSingleDateToPersian(parts[0].trim());
-                        var endDate = self.convertSingleDateToPersian(parts[1].trim());
-                        
-                        if (startDate && endDate) {
-                            return startDate + ' - ' + endDate;
-                        }
-                    }
-                } else {
-                    // Handle single dates
-                    return self.convertSingleDateToPersian(dateText);
-                }
-            } catch (error) {
-                console.warn('Persian Calendar EDD: Error converting date range:', error);
+            var parts = dateText.split(' - ');
+            if (parts.length > 2) {
+                return null;
             }
             
-            return null;
+            var results = $.map(parts, function(part) {
+                return self.convertSingleDateToPersian(part.trim()) || undefined;
+            });
+            return results.length === parts.length ? results.join(' - ') : null;
         },
         
         /**
-         * Convert a single date string to Persian using AJAX
+         * Convert a single date string to Persian with PersianDateConverter
          * @param {string} dateStr - The date string to convert
          * @returns {string|null} - Converted Persian date or null
          */
         convertSingleDateToPersian: function(dateStr) {
-            try {
-                var date = new Date(dateStr);
-                if (isNaN(date.getTime())) {
-                    return null;
-                }
-                
-                // Use AJAX to convert date on server side
-                var result = null;
-                
-                $.ajax({
-                    url: PersianCalendarEDD.ajaxUrl,
-                    type: 'POST',
-                    async: false,
-                    data: {
-                        action: 'convert_to_persian_date',
-                        timestamp: Math.floor(date.getTime() / 1000),
-                        nonce: PersianCalendarEDD.nonce
-                    },
-                    success: function(response) {
-                        if (response.success && response.data) {
-                            result = response.data;
-                        }
-                    },
-                    error: function() {
-                        console.warn('Persian Calendar EDD: AJAX error converting date');
-                    }
-                });
-                
-                return result;
-            } catch (error) {
-                console.warn('Persian Calendar EDD: Error converting single date:', error);
+            var parts = this.parseDateParts(dateStr);
+            return parts ? this.formatLocally(parts, 'j F Y') : null;
+        },
+        
+        /**
+         * Read the calendar day and time of a date printed on the page
+         * 
+         * YYYY-MM-DD is split as written: new Date() reads it as UTC midnight,
+         * which is the previous day in the browser west of UTC. The other
+         * formats EDD prints are parsed as browser-local time.
+         * 
+         * @param {string} dateStr - The date string to read
+         * @returns {Object|null} - year, month, day, hour and minute, or null if invalid
+         */
+        parseDateParts: function(dateStr) {
+            var match = /^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})$/.exec(dateStr);
+            if (match) {
+                var parts = {
+                    year: parseInt(match[1], 10),
+                    month: parseInt(match[2], 10),
+                    day: parseInt(match[3], 10),
+                    hour: 0,
+                    minute: 0
+                };
+                return (parts.month >= 1 && parts.month <= 12 && parts.day >= 1 && parts.day <= 31) ? parts : null;
+            }
+            
+            var date = new Date(dateStr);
+            if (isNaN(date.getTime())) {
                 return null;
             }
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth() + 1,
+                day: date.getDate(),
+                hour: date.getHours(),
+                minute: date.getMinutes()
+            };
+        },
+        
+        /**
+         * Format a date with the shared converter
+         * 
+         * EDD prints site-local dates, so the parsed day and time are
+         * formatted as wall-clock time in the site timezone.
+         * 
+         * @param {Object} parts - Date parts from parseDateParts
+         * @param {string} format - PHP-style or moment-style format
+         * @returns {string} - Persian date
+         */
+        formatLocally: function(parts, format) {
+            var wallClock = parts.year + '-' + pad2(parts.month) + '-' + pad2(parts.day) +
+                'T' + pad2(parts.hour) + ':' + pad2(parts.minute) + ':00';
+            var key = format + '|' + wallClock;
+            if (!this.localCache.hasOwnProperty(key)) {
+                this.localCache[key] = window.PersianDateConverter.format(wallClock, format, {
+                    persianDigits: !!PersianCalendarEDD.enablePersianDigits
+                });
+            }
+            
+            return this.localCache[key];
         },
         
         /**
@@ -291,20 +313,13 @@
          * @returns {string|null} - Persian date string or null if conversion fails
          */
         convertToPersianDate: function(gregorianDate) {
-            if (typeof PersianCalendar === 'undefined') {
+            var parts = this.parseDateParts(gregorianDate);
+            if (!parts) {
                 return null;
             }
             
             try {
-                var date = new Date(gregorianDate);
-                if (isNaN(date.getTime())) {
-                    return null;
-                }
-                
-                return PersianCalendar.toPersian(date, {
-                    format: PersianCalendarEDD.dateFormat || 'YYYY/MM/DD',
-                    persianDigits: PersianCalendarEDD.enablePersianDigits || false
-                });
+                return this.formatLocally(parts, PersianCalendarEDD.dateFormat || 'YYYY/MM/DD');
             } catch (error) {
                 console.warn('Persian Calendar EDD: Error converting date:', error);
                 return null;
@@ -0,0 +1,44 @@
+/* global wp */
+/* Persian Calendar Media - Jalali dates and month filter in the wp.media modal and grid */
+(function () {
+  'use strict';
+
+  if (!window.wp || !wp.media || !wp.media.model || !window.PersianDateConverter) return;
+
+  const converter = window.PersianDateConverter;
+  const settings = window.PersianCalendarSettings || {};
+  // Same digits as the dates PHP renders in the rest of the admin
+  const persianDigits = !!settings.persianDigits;
+
+  // "Uploaded on" in attachment details; also covers items added by the uploader, which
+  // are parsed from the upload response like any other attachment
+  const Attachment = wp.media.model.Attachment;
+  const parseAttachment = Attachment.prototype.parse;
+  Attachment.prototype.parse = function (resp, xhr) {
+    const parsed = parseAttachment.call(this, resp, xhr);
+    if (parsed && parsed.date instanceof Date && !isNaN(parsed.date.getTime())) {
+      parsed.dateFormatted = converter.format(parsed.date, 'j F Y', { persianDigits });
+    }
+    return parsed;
+  };
+
+  // Month filter of the grid view. PERSCA_Plugin::filter_media_view_settings lists Jalali
+  // months; each one is sent as year/monthnum and mapped to a date_query on the server.
+  const DateFilter = wp.media.view.DateFilter;
+  if (DateFilter) {
+    const createFilters = DateFilter.prototype.createFilters;
+    DateFilter.prototype.createFilters = function () {
+      createFilters.apply(this, arguments);
+
+      const locale = converter.getLocale();
+      (wp.media.view.settings.months || []).forEach((month, index) => {
+        const year = parseInt(month.year, 10);
+        const monthNumber = parseInt(month.month, 10);
+        if (!this.filters[index] || !converter.isValidJalali(year, monthNumber, 1)) return;
+
+        const text = `${locale.months[monthNumber - 1]} ${year}`;
+        this.filters[index].text = persianDigits ? converter.toLocaleDigits(text, locale) : text;
+      });
+    };
+  }
+})();
@@ -0,0 +1,121 @@
+/* global wp, PersianCalendar */
+/* Persian Calendar Components - block editor controls for other plugins (window.persianCalendar.components) */
+(function () {
+  'use strict';
+
+  const { createElement: el, useEffect, useRef } = wp.element;
+
+  const converter = window.PersianDateConverter;
+
+  const getSiteTimezone = () => (window.PersianCalendarSettings && window.PersianCalendarSettings.timezone) || undefined;
+
+  const pad2 = (value) => value.toString().padStart(2, '0');
+
+  const parseWpDatetimeString = (dateStr) => {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+
+    // core/editor keeps post dates as site-local wall-clock strings without an offset
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2})?$/.exec(dateStr);
+    if (match) {
+      return {
+        y: parseInt(match[1], 10),
+        m: parseInt(match[2], 10),
+        d: parseInt(match[3], 10),
+        hh: parseInt(match[4], 10),
+        mi: parseInt(match[5], 10)
+      };
+    }
+
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return null;
+
+    const parts = converter.toZonedParts(d, getSiteTimezone());
+    return {
+      y: parts.year,
+      m: parts.month,
+      d: parts.day,
+      hh: parts.hour,
+      mi: parts.minute
+    };
+  };
+
+  // Site-local wall-clock string in the format core/editor stores for the post date
+  const formatWpDatetimeString = (gregorian, time) => {
+    return `${gregorian.year}-${pad2(gregorian.month)}-${pad2(gregorian.day)}T${pad2(time.hour)}:${pad2(time.minute)}:${pad2(time.second || 0)}`;
+  };
+
+  // Same check core's date pickers use: a site time format with "a" or "A" is a 12-hour clock
+  const isSite12HourTime = () => {
+    const settings = (wp.date && wp.date.getSettings) ? wp.date.getSettings() : null;
+    return !!(settings && settings.formats && /a(?!\\)/i.test(settings.formats.time.toLowerCase().replace(/\\\\/g, '').split('').reverse().join('')));
+  };
+
+  // Accepts a Date, a site-local wall-clock string or an ISO string with an offset
+  const toInstant = (value) => {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    const dateParts = parseWpDatetimeString(value);
+    if (!dateParts) return null;
+    return converter.fromZonedParts({
+      year: dateParts.y,
+      month: dateParts.m,
+      day: dateParts.d,
+      hour: dateParts.hh,
+      minute: dateParts.mi
+    }, getSiteTimezone());
+  };
+
+  /**
+   * Jalali calendar grid bound to a value, for post dates, block attributes or meta.
+   * value: Date or date string; empty shows today. onChange receives a site-local
+   * wall-clock string such as "2024-07-15T10:30:00", the format core/editor uses.
+   * hour12 defaults to the site's time format; minuteStep sets the arrow-key and wheel increment.
+   */
+  const JalaliDateTimePicker = ({ value, onChange, onClose, showTime = true, hour12 = isSite12HourTime(), minuteStep = 1 }) => {
+    const containerRef = useRef(null);
+    const calendarRef = useRef(null);
+    // Last value shown by the grid; a value it reported itself needs no setDate()
+    const shownRef = useRef(value);
+    const onChangeRef = useRef(onChange);
+    const onCloseRef = useRef(onClose);
+    onChangeRef.current = onChange;
+    onCloseRef.current = onClose;
+
+    // One instance per mount, destroyed when the popover or block unmounts
+    useEffect(() => {
+      const calendar = new PersianCalendar(containerRef.current, {
+        selectedDate: toInstant(shownRef.current) || new Date(),
+        showTime,
+        hour12,
+        minuteStep,
+        textInput: true,
+        timezone: getSiteTimezone(),
+        onDateSelect: (dateInfo) => {
+          const next = formatWpDatetimeString(dateInfo.gregorian, dateInfo.time);
+          shownRef.current = next;
+          if (typeof onChangeRef.current === 'function') onChangeRef.current(next);
+        },
+        onClose: () => {
+          if (typeof onCloseRef.current === 'function') onCloseRef.current();
+        }
+      });
+      calendarRef.current = calendar;
+      return () => calendar.destroy();
+    }, [showTime, hour12, minuteStep]);
+
+    // Values changed elsewhere (another control, undo) move the grid
+    useEffect(() => {
+      if (value === shownRef.current) return;
+      shownRef.current = value;
+      calendarRef.current.setDate(toInstant(value) || new Date());
+    }, [value]);
+
+    return el('div', { className: 'persian-calendar-container', ref: containerRef });
+  };
+
+  window.persianCalendar = window.persianCalendar || {};
+  window.persianCalendar.components = {
+    ...window.persianCalendar.components,
+    JalaliDateTimePicker
+  };
+})();
@@ -0,0 +1,126 @@
+/* Persian Calendar Holidays - Iranian official holidays and site events for the calendar grid */
+(function () {
+  'use strict';
+
+  const {
+    gregorianToJalali,
+    jalaliToGregorian,
+    gregorianToHijri,
+    hijriToGregorian,
+    hijriDaysInMonth,
+    daysInMonth
+  } = window.PersianDateConverter;
+
+  // Official holidays on fixed solar dates
+  const SOLAR_HOLIDAYS = [
+    { month: 1, day: 1, title: 'عید نوروز' },
+    { month: 1, day: 2, title: 'عید نوروز' },
+    { month: 1, day: 3, title: 'عید نوروز' },
+    { month: 1, day: 4, title: 'عید نوروز' },
+    { month: 1, day: 12, title: 'روز جمهوری اسلامی' },
+    { month: 1, day: 13, title: 'روز طبیعت' },
+    { month: 3, day: 14, title: 'رحلت امام خمینی' },
+    { month: 3, day: 15, title: 'قیام ۱۵ خرداد' },
+    { month: 11, day: 22, title: 'پیروزی انقلاب اسلامی' },
+    { month: 12, day: 29, title: 'روز ملی شدن صنعت نفت' }
+  ];
+
+  // Official holidays on lunar Hijri dates; day 30 falls back to the last day of a 29-day month
+  const LUNAR_HOLIDAYS = [
+    { month: 1, day: 9, title: 'تاسوعای حسینی' },
+    { month: 1, day: 10, title: 'عاشورای حسینی' },
+    { month: 2, day: 20, title: 'اربعین حسینی' },
+    { month: 2, day: 28, title: 'رحلت رسول اکرم و شهادت امام حسن مجتبی' },
+    { month: 2, day: 30, title: 'شهادت امام رضا' },
+    { month: 3, day: 8, title: 'شهادت امام حسن عسکری' },
+    { month: 3, day: 17, title: 'میلاد رسول اکرم و امام جعفر صادق' },
+    { month: 6, day: 3, title: 'شهادت حضرت فاطمه زهرا' },
+    { month: 7, day: 13, title: 'ولادت امام علی' },
+    { month: 7, day: 27, title: 'مبعث رسول اکرم' },
+    { month: 8, day: 15, title: 'ولادت حضرت قائم' },
+    { month: 9, day: 21, title: 'شهادت امام علی' },
+    { month: 10, day: 1, title: 'عید سعید فطر' },
+    { month: 10, day: 2, title: 'تعطیل به مناسبت عید سعید فطر' },
+    { month: 10, day: 25, title: 'شهادت امام جعفر صادق' },
+    { month: 12, day: 10, title: 'عید سعید قربان' },
+    { month: 12, day: 18, title: 'عید سعید غدیر خم' }
+  ].map((holiday) => ({ ...holiday, calendar: 'hijri' }));
+
+  // Normalizes an event registered by the site or passed to the calendar:
+  // { title, month, day, year?, calendar?: 'jalali' | 'hijri', holiday? }
+  const normalizeEvent = (event, isHoliday) => {
+    if (!event || typeof event.title !== 'string' || event.title === '') return null;
+    const month = parseInt(event.month, 10);
+    const day = parseInt(event.day, 10);
+    const year = parseInt(event.year, 10);
+    if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+    return {
+      title: event.title,
+      month,
+      day,
+      year: isNaN(year) ? null : year,
+      calendar: event.calendar === 'hijri' ? 'hijri' : 'jalali',
+      holiday: (typeof event.holiday === 'boolean') ? event.holiday : isHoliday
+    };
+  };
+
+  const BUILT_IN_EVENTS = SOLAR_HOLIDAYS.concat(LUNAR_HOLIDAYS).map((event) => normalizeEvent(event, true));
+
+  const getSiteEvents = () => {
+    const settings = window.PersianCalendarSettings || {};
+    return Array.isArray(settings.events) ? settings.events : [];
+  };
+
+  const addEvent = (days, day, event) => {
+    if (!days[day]) days[day] = [];
+    days[day].push({ title: event.title, holiday: event.holiday });
+  };
+
+  /**
+   * Events of a Jalali month keyed by day: { 1: [{ title, holiday }], ... }.
+   * Options: holidays (built-in dataset, default true), siteEvents (default true), events (extra list).
+   */
+  const getMonthEvents = (jy, jm, options = {}) => {
+    const lastDay = daysInMonth(jy, jm);
+    if (!lastDay) return {};
+
+    const events = [];
+    if (options.holidays !== false) events.push(...BUILT_IN_EVENTS);
+    const extra = (options.siteEvents !== false ? getSiteEvents() : []).concat(options.events || []);
+    extra.forEach((event) => {
+      const normalized = normalizeEvent(event, false);
+      if (normalized) events.push(normalized);
+    });
+
+    // Lunar years overlapping this Jalali month
+    const firstHijri = gregorianToHijri(...jalaliToGregorian(jy, jm, 1));
+    const lastHijri = gregorianToHijri(...jalaliToGregorian(jy, jm, lastDay));
+
+    const days = {};
+    events.forEach((event) => {
+      if (event.calendar === 'jalali') {
+        if (event.month === jm && event.day <= lastDay && (event.year === null || event.year === jy)) {
+          addEvent(days, event.day, event);
+        }
+        return;
+      }
+
+      for (let hy = firstHijri[0]; hy <= lastHijri[0]; hy++) {
+        if (event.year !== null && event.year !== hy) continue;
+        const monthLength = hijriDaysInMonth(hy, event.month);
+        if (!monthLength) continue;
+        const [gy, gm, gd] = hijriToGregorian(hy, event.month, Math.min(event.day, monthLength));
+        const [y, m, d] = gregorianToJalali(gy, gm, gd);
+        if (y === jy && m === jm) addEvent(days, d, event);
+      }
+    });
+
+    return days;
+  };
+
+  window.PersianCalendarHolidays = {
+    getMonthEvents,
+    solarHolidays: SOLAR_HOLIDAYS,
+    lunarHolidays: LUNAR_HOLIDAYS
+  };
+})();
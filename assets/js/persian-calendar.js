@@ -2,181 +2,363 @@
 (function () {
   'use strict';
 
-  // Date Converter Functions (integrated from date-converter.js)
-  const G_DAYS_IN_MONTH_NON_LEAP = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
-  const JALALI_EPOCH_DIFFERENCE = 355666;
-  const JALALI_33_YEAR_CYCLE_DAYS = 12053;
-  const GREGORIAN_4_YEAR_CYCLE_DAYS = 1461;
-  const JALALI_YEAR_START_OFFSET = -1595;
-  const GREGORIAN_EPOCH_DIFFERENCE = -355668;
-  const JALALI_33_YEAR_CYCLE_LEAP_DAYS = 8;
-  const GREGORIAN_400_YEAR_CYCLE_DAYS = 146097;
-  const GREGORIAN_100_YEAR_CYCLE_DAYS = 36524;
-
-  const isValidGregorian = (gy, gm, gd) => {
-    if (!Number.isInteger(gy) || !Number.isInteger(gm) || !Number.isInteger(gd)) {
-      return false;
-    }
-    if (gy < 1 || gy > 3000 || gm < 1 || gm > 12 || gd < 1 || gd > 31) {
-      return false;
-    }
-    return true;
+  // Date conversion, formatting and names come from the shared persian-date-converter.js script
+  const {
+    gregorianToJalali,
+    jalaliToGregorian,
+    gregorianToHijri,
+    isValidJalali,
+    isValidGregorian,
+    daysInMonth: getDaysInJalaliMonth,
+    getJalaliWeekday,
+    toZonedParts,
+    fromZonedParts,
+    resolveTimezone,
+    format,
+    parseInput,
+    toLocaleDigits,
+    toAsciiDigits,
+    getLocale
+  } = window.PersianDateConverter;
+
+  // Official holidays and site events from persian-calendar-holidays.js
+  const { getMonthEvents } = window.PersianCalendarHolidays;
+
+  // Month names come from the locale pack's gregorianMonths / hijriMonths
+  const SECONDARY_CALENDARS = {
+    gregorian: { convert: (gy, gm, gd) => [gy, gm, gd], monthsKey: 'gregorianMonths' },
+    hijri: { convert: gregorianToHijri, monthsKey: 'hijriMonths' }
   };
 
-  const gregorianToJalali = (gy, gm, gd) => {
-    if (!isValidGregorian(gy, gm, gd)) {
-      return [0, 0, 0];
-    }
-
-    // Use correct formula from jalalidatepicker.min.js
-    const gy2 = gm > 2 ? (gy + 1) : gy;
-    let days = JALALI_EPOCH_DIFFERENCE + (365 * gy) + Math.floor((gy2 + 3) / 4) - Math.floor((gy2 + 99) / 100) + Math.floor((gy2 + 399) / 400) + gd + G_DAYS_IN_MONTH_NON_LEAP[gm - 1];
-
-    let jy = JALALI_YEAR_START_OFFSET + 33 * Math.floor(days / JALALI_33_YEAR_CYCLE_DAYS);
-    days %= JALALI_33_YEAR_CYCLE_DAYS;
-
-    jy += 4 * Math.floor(days / GREGORIAN_4_YEAR_CYCLE_DAYS);
-    days %= GREGORIAN_4_YEAR_CYCLE_DAYS;
-
-    if (days > 365) {
-      jy += Math.floor((days - 1) / 365);
-      days = (days - 1) % 365;
-    }
-
-    let jm, jd;
-    if (days < 186) {
-      jm = 1 + Math.floor(days / 31);
-      jd = 1 + (days % 31);
-    } else {
-      jm = 7 + Math.floor((days - 186) / 30);
-      jd = 1 + ((days - 186) % 30);
-    }
-
-    return [jy, jm, jd];
+  // Utility functions
+  const safeParseInt = (value, defaultValue = 0, min = null, max = null) => {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed)) return defaultValue;
+    if (min !== null && parsed < min) return min;
+    if (max !== null && parsed > max) return max;
+    return parsed;
   };
 
-  const isValidJalali = (jy, jm, jd) => {
-    if (!Number.isInteger(jy) || !Number.isInteger(jm) || !Number.isInteger(jd)) {
-      return false;
-    }
-    if (jy < 1 || jy > 3000 || jm < 1 || jm > 12 || jd < 1 || jd > 31) {
-      return false;
-    }
-    return true;
+  const isValidJalaliDate = (year, month, day) => {
+    return year >= 1 && year <= 3000 && month >= 1 && month <= 12 && day >= 1 && day <= 31;
   };
 
-  const jalaliToGregorian = (jy, jm, jd) => {
-    if (!isValidJalali(jy, jm, jd)) {
-      return [0, 0, 0];
-    }
-
-    const jy_adj = jy + 1595;
-    let days = GREGORIAN_EPOCH_DIFFERENCE + (365 * jy_adj) + (Math.floor(jy_adj / 33) * JALALI_33_YEAR_CYCLE_LEAP_DAYS) + Math.floor(((jy_adj % 33) + 3) / 4) + jd;
-
-    if (jm < 7) {
-      days += (jm - 1) * 31;
-    } else {
-      days += (jm - 7) * 30 + 186;
-    }
-
-    let gy = 400 * Math.floor(days / GREGORIAN_400_YEAR_CYCLE_DAYS);
-    days %= GREGORIAN_400_YEAR_CYCLE_DAYS;
-
-    if (days > GREGORIAN_100_YEAR_CYCLE_DAYS) {
-      gy += 100 * Math.floor(--days / GREGORIAN_100_YEAR_CYCLE_DAYS);
-      days %= GREGORIAN_100_YEAR_CYCLE_DAYS;
-      if (days >= 365) days++;
-    }
+  // Parses "1403/05/12", "۱۴۰۳-۵-۱۲" and similar year-first numeric Jalali dates
+  const parseJalaliString = (value) => {
+    const match = /^\s*(\d{1,4})\s*[\/\-.]\s*(\d{1,2})\s*[\/\-.]\s*(\d{1,2})/.exec(toAsciiDigits(value || ''));
+    if (!match) return null;
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    const day = parseInt(match[3], 10);
+    if (!isValidJalali(year, month, day)) return null;
+    return { year, month, day };
+  };
 
-    gy += 4 * Math.floor(days / GREGORIAN_4_YEAR_CYCLE_DAYS);
-    days %= GREGORIAN_4_YEAR_CYCLE_DAYS;
+  // Year-first dates with years this large are Gregorian input, e.g. EDD's "2025-03-15"
+  const isGregorianYear = (year) => year > 1700;
 
-    if (days > 365) {
-      gy += Math.floor((days - 1) / 365);
-      days = (days - 1) % 365;
-    }
+  // Input mask of the free-text date field: digits of any script, month-name letters and date/time separators
+  const maskDateText = (value) => String(value)
+    .replace(/[^0-9\u0600-\u06FF\u200ca-zA-Z\s\/\-.:,]/g, '')
+    .replace(/([\/\-.:,\u060C])[\/\-.:,\u060C]+/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^\s+/, '');
 
-    let gd = days + 1;
-    const isLeap = ((gy % 4 === 0) && (gy % 100 !== 0)) || (gy % 400 === 0);
-    const G_DAYS_IN_MONTH = [0, 31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  const pad2 = (value) => String(value).padStart(2, '0');
 
-    let gm;
-    for (gm = 1; gm <= 12; gm++) {
-      if (gd <= G_DAYS_IN_MONTH[gm]) break;
-      gd -= G_DAYS_IN_MONTH[gm];
-    }
-
-    return [gy, gm, gd];
+  const addJalaliDays = (jy, jm, jd, offset) => {
+    const [gy, gm, gd] = jalaliToGregorian(jy, jm, jd);
+    const date = new Date(0);
+    date.setUTCFullYear(gy, gm - 1, gd + offset);
+    return gregorianToJalali(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
   };
 
-  // Utility functions
-  const safeParseInt = (value, defaultValue = 0, min = null, max = null) => {
-    const parsed = parseInt(value, 10);
-    if (isNaN(parsed)) return defaultValue;
-    if (min !== null && parsed < min) return min;
-    if (max !== null && parsed > max) return max;
-    return parsed;
+  const addJalaliMonths = (jy, jm, jd, offset) => {
+    const index = (jy * 12) + (jm - 1) + offset;
+    const year = Math.floor(index / 12);
+    const month = (index % 12) + 1;
+    return [year, month, Math.min(jd, getDaysInJalaliMonth(year, month))];
   };
 
-  const isValidJalaliDate = (year, month, day) => {
-    return year >= 1 && year <= 3000 && month >= 1 && month <= 12 && day >= 1 && day <= 31;
+  const formatJalaliLabel = (jy, jm, jd, locale) => {
+    const weekday = locale.weekdays[getJalaliWeekday(jy, jm, jd)];
+    return `${weekday} ${toLocaleDigits(jd, locale)} ${locale.months[jm - 1]} ${toLocaleDigits(jy, locale)}`;
   };
 
-  // Constants
-  const PERSIAN_MONTHS = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
-  const PERSIAN_WEEKDAYS = ['ش', 'ی', 'د', 'س', 'چ', 'پ', 'ج'];
-  const PERSIAN_DIGITS = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
+  const toDateKey = (jy, jm, jd) => (jy * 10000) + (jm * 100) + jd;
 
-  const toPersianDigits = (str) => String(str).replace(/[0-9]/g, (d) => PERSIAN_DIGITS[d]);
-  const toAsciiDigits = (str) => String(str).replace(/[۰-۹]/g, (d) => PERSIAN_DIGITS.indexOf(d).toString());
+  const toJalaliObject = (date, timeZone) => {
+    const wallClock = toZonedParts(date, timeZone);
+    const [year, month, day] = gregorianToJalali(wallClock.year, wallClock.month, wallClock.day);
+    return { year, month, day };
+  };
 
-  const getDaysInJalaliMonth = (jy, jm) => {
-    if (jm <= 6) return 31;
-    if (jm <= 11) return 30;
-    const leapYears = [1, 5, 9, 13, 17, 22, 26, 30];
-    return leapYears.includes(jy % 33) ? 30 : 29;
+  // Accepts a Date or a { year, month, day } Jalali object
+  const normalizeJalaliOption = (value, timeZone) => {
+    if (value instanceof Date && !isNaN(value.getTime())) return toJalaliObject(value, timeZone);
+    if (value && isValidJalali(value.year, value.month, value.day)) {
+      return { year: value.year, month: value.month, day: value.day };
+    }
+    return null;
   };
 
+  let instanceCounter = 0;
+
   class PersianCalendar {
     constructor(container, options = {}) {
       if (!container || !(container instanceof Element)) {
         throw new Error('PersianCalendar: Invalid container element');
       }
       this.container = container;
+      this.instanceId = `persian-calendar-${++instanceCounter}`;
       this.options = {
         selectedDate: (options.selectedDate instanceof Date) ? options.selectedDate : new Date(),
-        onDateSelect: (typeof options.onDateSelect === 'function') ? options.onDateSelect : () => { },
-        showTime: (typeof options.showTime === 'boolean') ? options.showTime : true,
+        showTime: (typeof options.showTime === 'boolean') ? options.showTime : options.mode !== 'range',
+        mode: 'single',
         ...options
       };
+      this.applyOptions();
 
-      let initialDate = this.options.selectedDate;
-
-      // Apply Iran timezone offset (+3:30 = 210 minutes)
-      const iranOffsetMinutes = 210;
-      const browserOffsetMinutes = -initialDate.getTimezoneOffset();
-      const diffMinutes = iranOffsetMinutes - browserOffsetMinutes;
-      initialDate = new Date(initialDate.getTime() + diffMinutes * 60 * 1000);
+      const initialDate = toZonedParts(this.options.selectedDate, this.options.timezone);
 
-      const [jy, jm, jd] = gregorianToJalali(initialDate.getFullYear(), initialDate.getMonth() + 1, initialDate.getDate());
+      const [jy, jm, jd] = gregorianToJalali(initialDate.year, initialDate.month, initialDate.day);
       this.currentYear = jy;
       this.currentMonth = jm;
       this.selectedDate = { year: jy, month: jm, day: jd };
-      this.selectedTime = {
-        hour: initialDate.getHours(),
-        minute: initialDate.getMinutes()
-      };
+      this.focusedDay = jd;
+      // 'days', or the 'months' / 'years' overview opened from the month header
+      this.view = 'days';
+      this.selectedTime = this.toSelectedTime(initialDate);
+
+      // Range mode state: confirmed ends plus the hovered day used for previewing
+      this.rangeStart = (this.options.startDate instanceof Date) ? toJalaliObject(this.options.startDate, this.options.timezone) : null;
+      this.rangeEnd = (this.rangeStart && this.options.endDate instanceof Date) ? toJalaliObject(this.options.endDate, this.options.timezone) : null;
+      this.hoverDate = null;
+      if (this.isRangeMode() && !this.options.showTime) {
+        // Without a time picker both range ends are reported at midnight
+        this.selectedTime = { hour: 0, minute: 0, second: 0 };
+      }
+      if (this.isRangeMode() && this.rangeStart) {
+        this.currentYear = this.rangeStart.year;
+        this.currentMonth = this.rangeStart.month;
+        this.selectedDate = { ...this.rangeStart };
+        this.focusedDay = this.rangeStart.day;
+      }
 
       this.render();
       this.attachEventListeners();
     }
 
+    // Derives locale, timezone, limits and flags from this.options; run again by setOptions()
+    applyOptions() {
+      const { options } = this;
+      if (typeof options.onDateSelect !== 'function') options.onDateSelect = () => { };
+      // Read-only grid for browsing (e.g. the archive calendar): no selection, time picker or header actions
+      options.readOnly = options.readOnly === true;
+      if (options.readOnly) options.showTime = false;
+      // Gregorian and/or Hijri dates shown under each Jalali day, e.g. ['gregorian', 'hijri']
+      options.secondaryCalendars = [].concat(options.secondaryCalendars || [])
+        .filter((calendar, index, list) => SECONDARY_CALENDARS[calendar] && list.indexOf(calendar) === index);
+      // Site timezone (IANA name or UTC offset) used for "today", "now" and reported dates
+      options.timezone = resolveTimezone(options.timezone);
+      // Names, labels, digits and week layout; defaults to the locale chosen in the plugin settings
+      this.locale = getLocale(options.locale);
+      this.firstDay = (Number.isInteger(options.firstDay) && options.firstDay >= 0 && options.firstDay <= 6) ? options.firstDay : this.locale.firstDay;
+
+      // Selectable window and per-day constraints
+      const minDate = normalizeJalaliOption(options.minDate, options.timezone);
+      const maxDate = normalizeJalaliOption(options.maxDate, options.timezone);
+      this.minKey = minDate ? toDateKey(minDate.year, minDate.month, minDate.day) : toDateKey(1, 1, 1);
+      this.maxKey = maxDate ? toDateKey(maxDate.year, maxDate.month, maxDate.day) : toDateKey(3000, 12, 30);
+
+      // Time picker: 12-hour clock with the locale's meridiem labels, a seconds field, and the
+      // minutes that arrow keys and the mouse wheel step through (e.g. 5 or 15 for scheduling)
+      options.hour12 = options.hour12 === true;
+      options.showSeconds = options.showSeconds === true;
+      options.minuteStep = (Number.isInteger(options.minuteStep) && options.minuteStep >= 1 && options.minuteStep <= 60) ? options.minuteStep : 1;
+
+      // Optional free-text field ("۱۴۰۳/۰۵/۱۲ ۱۴:۳۰", "12 مرداد 1403") above the month inputs
+      options.textInput = options.textInput === true && !options.readOnly;
+
+      // Popover mode: the container floats next to this input or button and opens from it
+      options.anchor = (options.anchor instanceof Element) ? options.anchor : null;
+      this.rtl = (typeof options.rtl === 'boolean') ? options.rtl : this.locale.dir !== 'ltr';
+    }
+
+    /**
+     * Change options after construction, e.g. setOptions({ maxDate, locale }).
+     * The selected date and displayed month are kept; the calendar is redrawn.
+     */
+    setOptions(partial = {}) {
+      if (this.destroyed) return;
+      const previousAnchor = this.options.anchor;
+      this.options = { ...this.options, ...partial };
+      this.applyOptions();
+      this.selectedTime = this.toSelectedTime(this.selectedTime);
+      if (previousAnchor && previousAnchor !== this.options.anchor) this.releaseAnchor(previousAnchor);
+      this.listeners.abort();
+      this.render();
+      this.attachEventListeners();
+    }
+
+    /**
+     * Show and select a Date or a Jalali { year, month, day } without reporting a change.
+     * In range mode the day becomes the start of a new range.
+     */
+    setDate(date) {
+      if (this.destroyed) return;
+      let jalali;
+      if (date instanceof Date && !isNaN(date.getTime())) {
+        const wallClock = toZonedParts(date, this.options.timezone);
+        const [year, month, day] = gregorianToJalali(wallClock.year, wallClock.month, wallClock.day);
+        jalali = { year, month, day };
+        if (this.options.showTime) this.selectedTime = this.toSelectedTime(wallClock);
+      } else {
+        jalali = normalizeJalaliOption(date, this.options.timezone);
+      }
+      if (!jalali) {
+        throw new RangeError('PersianCalendar: invalid date passed to setDate');
+      }
+
+      this.selectedDate = jalali;
+      this.currentYear = jalali.year;
+      this.currentMonth = jalali.month;
+      this.focusedDay = jalali.day;
+      this.view = 'days';
+      if (this.isRangeMode()) {
+        this.rangeStart = { ...jalali };
+        this.rangeEnd = null;
+        this.hoverDate = null;
+      }
+
+      this.updateCalendarView();
+      this.updateTimeDisplay();
+      this.syncTextInput();
+    }
+
+    /**
+     * Current selection as { jalali, gregorian, time, date }.
+     * Range mode returns { start, end }, each null until picked.
+     */
+    getValue() {
+      if (this.isRangeMode()) {
+        return {
+          start: this.rangeStart ? this.buildDateInfo(this.rangeStart) : null,
+          end: this.rangeEnd ? this.buildDateInfo(this.rangeEnd) : null
+        };
+      }
+      return this.buildDateInfo(this.selectedDate);
+    }
+
+    // Removes the calendar's listeners and markup; the container itself is left in place
+    destroy() {
+      if (this.destroyed) return;
+      this.destroyed = true;
+      this.listeners.abort();
+      if (this.options.anchor) {
+        this.container.hidden = true;
+        this.releaseAnchor(this.options.anchor);
+      }
+      this.container.textContent = '';
+    }
+
+    /**
+     * Show the popover next to its anchor. Only used with the anchor option;
+     * an embedded calendar is always visible.
+     */
+    open() {
+      if (this.destroyed || !this.options.anchor || this.isOpen()) return;
+
+      this.container.hidden = false;
+      this.options.anchor.setAttribute('aria-expanded', 'true');
+      this.position();
+      this.emit('open');
+      // Text inputs keep focus so the date can still be typed
+      if (!this.isTextAnchor()) this.focusDayCell();
+    }
+
+    close() {
+      if (this.isOpen()) this.closeCalendar();
+    }
+
+    isOpen() {
+      return !!this.options.anchor && !this.destroyed && !this.container.hidden;
+    }
+
+    isTextAnchor() {
+      const { anchor } = this.options;
+      return anchor.tagName === 'TEXTAREA' || (anchor.tagName === 'INPUT' && !/^(button|submit|reset|checkbox|radio)$/.test(anchor.type));
+    }
+
+    /**
+     * Place the popover below its anchor, or above it when only that fits.
+     * It lines up with the anchor's start edge (right in RTL) and moves to the
+     * other edge, then inside the viewport, when it would overflow.
+     */
+    position() {
+      if (!this.isOpen()) return;
+
+      const gap = 4;
+      const rect = this.options.anchor.getBoundingClientRect();
+      const width = this.container.offsetWidth;
+      const height = this.container.offsetHeight;
+      const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+      const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+      let top = rect.bottom + gap;
+      const above = top + height > viewportHeight && rect.top - gap - height >= 0;
+      if (above) top = rect.top - gap - height;
+
+      let left = this.rtl ? rect.right - width : rect.left;
+      if (this.rtl && left < 0) {
+        left = rect.left;
+      } else if (!this.rtl && left + width > viewportWidth) {
+        left = rect.right - width;
+      }
+      left = Math.min(Math.max(0, left), Math.max(0, viewportWidth - width));
+
+      this.container.style.top = `${Math.max(0, top)}px`;
+      this.container.style.left = `${left}px`;
+      this.container.dataset.placement = above ? 'top' : 'bottom';
+    }
+
+    // Popover markup on the container and ARIA wiring on the anchor; hidden until opened
+    preparePopover() {
+      const { container } = this;
+      const { anchor } = this.options;
+
+      if (!container.classList.contains('persian-calendar-popup')) {
+        container.classList.add('persian-calendar-popup');
+        container.hidden = true;
+      }
+      if (!container.id) container.id = `${this.instanceId}-popover`;
+      container.dir = this.rtl ? 'rtl' : 'ltr';
+      container.setAttribute('role', 'dialog');
+      container.setAttribute('aria-label', this.locale.labels.date);
+
+      anchor.setAttribute('aria-haspopup', 'dialog');
+      anchor.setAttribute('aria-controls', container.id);
+      anchor.setAttribute('aria-expanded', String(!container.hidden));
+    }
+
+    releaseAnchor(anchor) {
+      ['aria-haspopup', 'aria-controls', 'aria-expanded'].forEach((name) => anchor.removeAttribute(name));
+    }
+
+    // Dispatches persiancalendar:change, :monthchange, :open or :close on the container
+    emit(name, detail) {
+      this.container.dispatchEvent(new CustomEvent(`persiancalendar:${name}`, { bubbles: true, detail }));
+    }
+
     render() {
+      if (this.options.anchor) this.preparePopover();
       this.container.textContent = '';
       const wrapper = this.createCalendarElement();
       this.container.appendChild(wrapper);
       this.cacheDOMElements();
       this.updateCalendarView();
+      this.updateTimeDisplay();
+      this.syncTextInput();
     }
 
     cacheDOMElements() {
@@ -184,21 +366,39 @@
         monthSelect: this.container.querySelector('.persian-calendar-month'),
         dayInput: this.container.querySelector('.persian-calendar-day-display'),
         yearInput: this.container.querySelector('.persian-calendar-year-display'),
+        prevButton: this.container.querySelector('.persian-calendar-prev'),
+        nextButton: this.container.querySelector('.persian-calendar-next'),
         currentMonthText: this.container.querySelector('.persian-calendar-current-month'),
         daysContainer: this.container.querySelector('.persian-calendar-days'),
+        grid: this.container.querySelector('.persian-calendar-grid'),
+        overview: this.container.querySelector('.persian-calendar-overview'),
+        liveRegion: this.container.querySelector('.persian-calendar-live'),
+        textInput: this.container.querySelector('.persian-calendar-text-input'),
+        textPreview: this.container.querySelector('.persian-calendar-text-preview'),
         hourInput: this.container.querySelector('.persian-calendar-hour'),
-        minuteInput: this.container.querySelector('.persian-calendar-minute')
+        minuteInput: this.container.querySelector('.persian-calendar-minute'),
+        secondInput: this.container.querySelector('.persian-calendar-second'),
+        meridiemButtons: Array.from(this.container.querySelectorAll('.persian-calendar-ampm-btn'))
       };
     }
 
     createCalendarElement() {
       const wrapper = document.createElement('div');
-      wrapper.className = 'persian-calendar-wrapper';
+      wrapper.className = this.options.readOnly ? 'persian-calendar-wrapper read-only' : 'persian-calendar-wrapper';
+      wrapper.dir = this.locale.dir;
+      wrapper.lang = this.locale.code;
+
+      if (this.options.readOnly) {
+        wrapper.appendChild(this.createDatePickerElement());
+        return wrapper;
+      }
+
+      const { labels } = this.locale;
 
       // Header
       const header = document.createElement('div');
       header.className = 'persian-calendar-header';
-      header.innerHTML = '<h3 class="persian-calendar-title">انتشار</h3><div class="persian-calendar-header-actions"><button class="persian-calendar-now-btn" type="button">اکنون</button><button type="button" class="persian-calendar-close-btn" aria-label="بستن"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M12 13.06l3.712 3.713 1.061-1.06L13.061 12l3.712-3.712-1.06-1.06L12 10.938 8.288 7.227l-1.061 1.06L10.939 12l-3.712 3.712 1.06 1.061L12 13.061z"></path></svg></button></div>';
+      header.innerHTML = `<h3 class="persian-calendar-title">${labels.publish}</h3><div class="persian-calendar-header-actions"><button class="persian-calendar-now-btn" type="button">${labels.now}</button><button type="button" class="persian-calendar-close-btn" aria-label="${labels.close}"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M12 13.06l3.712 3.713 1.061-1.06L13.061 12l3.712-3.712-1.06-1.06L12 10.938 8.288 7.227l-1.061 1.06L10.939 12l-3.712 3.712 1.06 1.061L12 13.061z"></path></svg></button></div>`;
       wrapper.appendChild(header);
 
       // Time picker
@@ -213,19 +413,27 @@
     }
 
     createTimePickerElement() {
+      const { labels } = this.locale;
       const fragment = document.createDocumentFragment();
       const timeTitle = document.createElement('div');
       timeTitle.className = 'persian-calendar-time-title';
-      timeTitle.textContent = 'زمان';
+      timeTitle.textContent = labels.time;
+
+      // Text fields so the locale's digits can be shown; values come from updateTimeDisplay()
+      const field = (className, label) => `<input type="text" inputmode="numeric" class="${className}" maxlength="2" autocomplete="off" aria-label="${label}">`;
 
       const timeContainer = document.createElement('div');
       timeContainer.className = 'persian-calendar-time';
       timeContainer.innerHTML = `
         <div class="persian-calendar-time-inputs">
-          <input type="number" class="persian-calendar-hour" min="0" max="23" value="${this.selectedTime.hour.toString().padStart(2, '0')}">
+          ${field('persian-calendar-hour', labels.hour)}
           <span>:</span>
-          <input type="number" class="persian-calendar-minute" min="0" max="59" value="${this.selectedTime.minute.toString().padStart(2, '0')}">
+          ${field('persian-calendar-minute', labels.minute)}
+          ${this.options.showSeconds ? `<span>:</span>${field('persian-calendar-second', labels.second)}` : ''}
         </div>
+        ${this.options.hour12 ? `<div class="persian-calendar-ampm" role="group">${this.locale.meridiem.map((label, index) =>
+        `<button type="button" class="persian-calendar-ampm-btn" data-pm="${index}" aria-pressed="false">${label}</button>`
+      ).join('')}</div>` : ''}
       `;
 
       fragment.appendChild(timeTitle);
@@ -239,145 +447,274 @@
 
       const dateTitle = document.createElement('div');
       dateTitle.className = 'persian-calendar-date-title';
-      dateTitle.textContent = 'تاریخ';
+      dateTitle.textContent = this.locale.labels.date;
 
       // Month/Year inputs
       const monthYear = document.createElement('div');
       monthYear.className = 'persian-calendar-month-year';
       monthYear.innerHTML = `
-        <input type="text" class="persian-calendar-day-display" value="${toPersianDigits(this.selectedDate.day)}" maxlength="2">
+        <input type="text" class="persian-calendar-day-display" value="${this.digits(this.selectedDate.day)}" maxlength="2">
         <select class="persian-calendar-month">
-          ${PERSIAN_MONTHS.map((month, index) =>
+          ${this.locale.months.map((month, index) =>
         `<option value="${index + 1}"${(index + 1) === this.currentMonth ? ' selected' : ''}>${month}</option>`
       ).join('')}
         </select>
-        <input type="text" class="persian-calendar-year-display" value="${toPersianDigits(this.currentYear)}" maxlength="4">
+        <input type="text" class="persian-calendar-year-display" value="${this.digits(this.currentYear)}" maxlength="4">
       `;
 
       // Navigation
       const nav = document.createElement('div');
       nav.className = 'persian-calendar-nav';
       nav.innerHTML = `
-        <button class="persian-calendar-prev" type="button">‹</button>
-        <span class="persian-calendar-current-month">${PERSIAN_MONTHS[this.currentMonth - 1]} ${toPersianDigits(this.currentYear)}</span>
-        <button class="persian-calendar-next" type="button">›</button>
+        <button class="persian-calendar-prev" type="button" aria-label="${this.locale.labels.previousMonth}">‹</button>
+        <button class="persian-calendar-current-month" type="button" id="${this.instanceId}-month">${this.getHeaderLabel()}</button>
+        <button class="persian-calendar-next" type="button" aria-label="${this.locale.labels.nextMonth}">›</button>
       `;
 
       // Calendar grid
       const grid = document.createElement('div');
       grid.className = 'persian-calendar-grid';
+      grid.setAttribute('role', 'grid');
+      grid.setAttribute('aria-labelledby', `${this.instanceId}-month`);
       grid.innerHTML = `
-        <div class="persian-calendar-weekdays">
-          ${PERSIAN_WEEKDAYS.map(day => `<div class="persian-calendar-weekday">${day}</div>`).join('')}
+        <div class="persian-calendar-weekdays" role="row">
+          ${this.getWeekdayOrder().map((index) => `<div class="persian-calendar-weekday" role="columnheader" aria-label="${this.locale.weekdays[index]}">${this.locale.weekdaysShort[index]}</div>`).join('')}
         </div>
-        <div class="persian-calendar-days"></div>
+        <div class="persian-calendar-days" role="rowgroup"></div>
       `;
 
-      datePicker.appendChild(dateTitle);
-      datePicker.appendChild(monthYear);
+      // Month and year overview, shown in place of the grid
+      const overview = document.createElement('div');
+      overview.className = 'persian-calendar-overview';
+      overview.hidden = true;
+
+      // Screen reader announcements for month changes
+      const liveRegion = document.createElement('div');
+      liveRegion.className = 'persian-calendar-live';
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.setAttribute('aria-atomic', 'true');
+
+      if (!this.options.readOnly) {
+        datePicker.appendChild(dateTitle);
+        if (this.options.textInput) datePicker.appendChild(this.createTextFieldElement());
+        datePicker.appendChild(monthYear);
+      }
       datePicker.appendChild(nav);
       datePicker.appendChild(grid);
+      datePicker.appendChild(overview);
+      datePicker.appendChild(liveRegion);
 
       return datePicker;
     }
 
+    createTextFieldElement() {
+      const { labels } = this.locale;
+      const field = document.createElement('div');
+      field.className = 'persian-calendar-text-field';
+      field.innerHTML = `
+        <input type="text" class="persian-calendar-text-input" maxlength="40" autocomplete="off" spellcheck="false" aria-label="${labels.typeDate}" aria-describedby="${this.instanceId}-text-preview">
+        <div class="persian-calendar-text-preview" id="${this.instanceId}-text-preview" aria-live="polite"></div>
+      `;
+      return field;
+    }
+
     createDaysFragment() {
       const daysInMonth = getDaysInJalaliMonth(this.currentYear, this.currentMonth);
-      // Get weekday for first day of month
-      // JavaScript getDay(): Sunday=0, Monday=1, ..., Saturday=6
-      // Persian calendar grid: Saturday=0, Sunday=1, ..., Friday=6
-      // Convert: Saturday(6)->0, Sunday(0)->1, Monday(1)->2, ..., Friday(5)->6
-      const [gy, gm, gd] = jalaliToGregorian(this.currentYear, this.currentMonth, 1);
-      // Use UTC to ensure consistent weekday calculation across all devices/timezones
-      const jsDay = new Date(Date.UTC(gy, gm - 1, gd)).getUTCDay();
-      // Formula: (jsDay + 1) % 7 gives correct Persian weekday index
-      const startDay = (jsDay + 1) % 7;
-
-      // Apply Iran timezone offset (+3:30 = 210 minutes) to get correct "today"
-      let today = new Date();
-      const iranOffsetMinutes = 210;
-      const browserOffsetMinutes = -today.getTimezoneOffset();
-      const diffMinutes = iranOffsetMinutes - browserOffsetMinutes;
-      today = new Date(today.getTime() + diffMinutes * 60 * 1000);
-      const [todayJy, todayJm, todayJd] = gregorianToJalali(today.getFullYear(), today.getMonth() + 1, today.getDate());
+      // Column of the 1st, counted from the locale's first day of the week
+      const startDay = this.getWeekColumn(this.currentYear, this.currentMonth, 1);
+      this.focusedDay = Math.min(this.focusedDay, daysInMonth);
+
+      // "Today" in the site timezone
+      const today = toZonedParts(new Date(), this.options.timezone);
+      const [todayJy, todayJm, todayJd] = gregorianToJalali(today.year, today.month, today.day);
       const isTodayMonth = (this.currentMonth === todayJm && this.currentYear === todayJy);
-      const isSelectedMonth = (this.currentMonth === this.selectedDate.month && this.currentYear === this.selectedDate.year);
+      // Range mode marks its ends in updateRangeHighlight instead
+      const isSelectedMonth = !this.isRangeMode() && !this.options.readOnly && (this.currentMonth === this.selectedDate.month && this.currentYear === this.selectedDate.year);
+
+      const monthEvents = getMonthEvents(this.currentYear, this.currentMonth, {
+        holidays: this.options.holidays !== false,
+        events: Array.isArray(this.options.events) ? this.options.events : []
+      });
 
       const fragment = document.createDocumentFragment();
 
+      // Group cells into week rows for grid semantics
+      let row = null;
+      let cellIndex = 0;
+      const appendCell = (cell) => {
+        if (cellIndex % 7 === 0) {
+          row = document.createElement('div');
+          row.className = 'persian-calendar-week';
+          row.setAttribute('role', 'row');
+          fragment.appendChild(row);
+        }
+        cell.setAttribute('role', 'gridcell');
+        row.appendChild(cell);
+        cellIndex++;
+      };
+
       // Empty days
       for (let i = 0; i < startDay; i++) {
         const emptyDay = document.createElement('div');
         emptyDay.className = 'persian-calendar-day empty';
-        fragment.appendChild(emptyDay);
+        appendCell(emptyDay);
       }
 
       // Month days
       for (let day = 1; day <= daysInMonth; day++) {
         const dayElement = document.createElement('div');
+        const isSelected = isSelectedMonth && day === this.selectedDate.day;
+        const events = monthEvents[day] || [];
+        let label = formatJalaliLabel(this.currentYear, this.currentMonth, day, this.locale);
         dayElement.className = 'persian-calendar-day';
         dayElement.setAttribute('data-day', day.toString());
-        dayElement.textContent = toPersianDigits(day);
+        dayElement.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+        dayElement.tabIndex = (day === this.focusedDay) ? 0 : -1;
+        if (this.options.secondaryCalendars.length) {
+          this.appendSecondaryDays(dayElement, day);
+        } else {
+          dayElement.textContent = this.digits(day);
+        }
 
-        if (isTodayMonth && day === todayJd) dayElement.classList.add('today');
-        if (isSelectedMonth && day === this.selectedDate.day) dayElement.classList.add('selected');
+        if (isTodayMonth && day === todayJd) {
+          dayElement.classList.add('today');
+          dayElement.setAttribute('aria-current', 'date');
+        }
+        if (isSelected) dayElement.classList.add('selected');
+        if (getJalaliWeekday(this.currentYear, this.currentMonth, day) === 6) dayElement.classList.add('friday');
+        if (events.length) {
+          const titles = events.map((event) => event.title).join(this.locale.listSeparator);
+          dayElement.classList.add(events.some((event) => event.holiday) ? 'holiday' : 'has-event');
+          dayElement.title = titles;
+          label += ` - ${titles}`;
+        }
+        dayElement.setAttribute('aria-label', label);
+        if (this.isDateDisabled(this.currentYear, this.currentMonth, day)) {
+          dayElement.classList.add('disabled');
+          dayElement.setAttribute('aria-disabled', 'true');
+        }
+        // Lets the page decorate cells, e.g. link days that have posts
+        if (typeof this.options.renderDay === 'function') {
+          this.options.renderDay(dayElement, { year: this.currentYear, month: this.currentMonth, day });
+        }
 
-        fragment.appendChild(dayElement);
+        appendCell(dayElement);
       }
 
       return fragment;
     }
 
     attachEventListeners() {
+      // Aborted by setOptions() and destroy() to remove every listener at once
+      this.listeners = new AbortController();
+      const { signal } = this.listeners;
+
       this.container.addEventListener('click', (e) => {
         const target = e.target;
-        if (target.matches('.persian-calendar-day:not(.empty)')) {
-          const day = safeParseInt(target.dataset.day, 1, 1, 31);
-          if (isValidJalaliDate(this.currentYear, this.currentMonth, day)) {
+        const dayCell = target.closest('.persian-calendar-day:not(.empty):not(.disabled)');
+        if (dayCell && this.options.readOnly) {
+          return;
+        } else if (dayCell) {
+          const day = safeParseInt(dayCell.dataset.day, 1, 1, 31);
+          if (isValidJalali(this.currentYear, this.currentMonth, day)) {
             this.selectDate(this.currentYear, this.currentMonth, day);
           }
+        } else if (target.closest('.persian-calendar-overview-cell:not(:disabled)')) {
+          this.pickOverviewCell(safeParseInt(target.closest('.persian-calendar-overview-cell').dataset.value, 1));
+        } else if (target.closest('.persian-calendar-current-month')) {
+          this.zoomOut();
         } else if (target.matches('.persian-calendar-prev')) {
-          this.previousMonth();
+          this.navigate(-1);
         } else if (target.matches('.persian-calendar-next')) {
-          this.nextMonth();
+          this.navigate(1);
         } else if (target.matches('.persian-calendar-now-btn')) {
           this.setToNow();
         } else if (target.matches('.persian-calendar-close-btn') || target.closest('.persian-calendar-close-btn')) {
           this.closeCalendar();
         }
-      });
+      }, { signal });
+
+      this.container.addEventListener('keydown', (e) => {
+        // A read-only grid has nothing to close
+        if (e.key === 'Escape' && !(this.options.readOnly && this.view === 'days')) {
+          e.preventDefault();
+          e.stopPropagation();
+          // Leave the month/year overview before closing the calendar
+          if (this.view !== 'days') {
+            this.closeOverview();
+          } else {
+            this.closeCalendar();
+          }
+        }
+      }, { signal });
+
+      if (this.options.anchor) {
+        this.attachPopoverListeners(signal);
+      }
+
+      if (this.dom.daysContainer) {
+        this.dom.daysContainer.addEventListener('keydown', (e) => this.handleGridKeydown(e), { signal });
+
+        // Hover preview of the range while only its start is picked
+        this.dom.daysContainer.addEventListener('mouseover', (e) => {
+          if (!this.isRangeMode() || !this.rangeStart || this.rangeEnd) return;
+          const cell = e.target.closest('.persian-calendar-day:not(.empty)');
+          if (!cell) return;
+          this.hoverDate = { year: this.currentYear, month: this.currentMonth, day: safeParseInt(cell.dataset.day, 1, 1, 31) };
+          this.updateRangeHighlight();
+        }, { signal });
+        this.dom.daysContainer.addEventListener('mouseleave', () => {
+          if (!this.hoverDate) return;
+          this.hoverDate = null;
+          this.updateRangeHighlight();
+        }, { signal });
+      }
+
+      if (this.dom.textInput) {
+        this.dom.textInput.addEventListener('input', (e) => this.handleTextInput(e), { signal });
+        this.dom.textInput.addEventListener('change', () => this.commitTextInput(), { signal });
+        this.dom.textInput.addEventListener('keydown', (e) => {
+          // Enter picks the typed date instead of submitting the surrounding form
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            this.commitTextInput();
+          }
+        }, { signal });
+      }
 
       if (this.dom.monthSelect) {
         this.dom.monthSelect.addEventListener('change', (e) => {
           const month = safeParseInt(e.target.value, 1, 1, 12);
-          if (isValidJalaliDate(this.currentYear, month, this.selectedDate.day)) {
+          if (isValidJalaliDate(this.currentYear, month, this.selectedDate.day) && !this.isMonthOutOfRange(this.currentYear, month)) {
             this.currentMonth = month;
             this.updateCalendarView();
+          } else {
+            e.target.value = this.currentMonth;
           }
-        });
+        }, { signal });
       }
 
       // Input handlers
       const setupInput = (input, onChange) => {
-        input.addEventListener('change', onChange);
+        input.addEventListener('change', onChange, { signal });
         input.addEventListener('keydown', (e) => {
           if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
             e.preventDefault();
             onChange({ target: input, key: e.key });
           }
-        });
+        }, { signal });
       };
 
       if (this.dom.dayInput) {
         setupInput(this.dom.dayInput, (e) => {
           const day = safeParseInt(toAsciiDigits(e.target.value), 1, 1, 31);
-          const daysInMonth = getDaysInJalaliMonth(this.currentYear, this.currentMonth);
-          if (day <= daysInMonth && isValidJalaliDate(this.currentYear, this.currentMonth, day)) {
-            this.selectedDate.day = day;
+          if (isValidJalali(this.currentYear, this.currentMonth, day) &&
+            !this.isDateDisabled(this.currentYear, this.currentMonth, day)) {
+            this.selectedDate = { year: this.currentYear, month: this.currentMonth, day };
             this.updateCalendarView();
             this.notifyDateChange();
           } else {
-            e.target.value = toPersianDigits(this.selectedDate.day);
+            e.target.value = this.digits(this.selectedDate.day);
           }
         });
       }
@@ -385,73 +722,645 @@
       if (this.dom.yearInput) {
         setupInput(this.dom.yearInput, (e) => {
           const year = safeParseInt(toAsciiDigits(e.target.value), 1400, 1, 3000);
-          if (isValidJalaliDate(year, this.currentMonth, this.selectedDate.day)) {
+          if (isValidJalaliDate(year, this.currentMonth, this.selectedDate.day) && !this.isMonthOutOfRange(year, this.currentMonth)) {
             this.currentYear = year;
             this.updateCalendarView();
           } else {
-            e.target.value = toPersianDigits(this.currentYear);
+            e.target.value = this.digits(this.currentYear);
           }
         });
       }
 
       if (this.options.showTime && this.dom.hourInput && this.dom.minuteInput) {
-        setupInput(this.dom.hourInput, (e) => {
-          const hour = safeParseInt(e.target.value, 0, 0, 23);
-          this.selectedTime.hour = hour;
-          this.notifyDateChange();
+        const timeFields = { hour: this.dom.hourInput, minute: this.dom.minuteInput, second: this.dom.secondInput };
+        Object.keys(timeFields).forEach((unit) => {
+          const input = timeFields[unit];
+          if (!input) return;
+
+          input.addEventListener('change', () => this.setTimeField(unit, input.value), { signal });
+          input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+              e.preventDefault();
+              this.stepTime(unit, e.key === 'ArrowUp' ? 1 : -1);
+            }
+          }, { signal });
+          // Like a number input, only the focused field takes the wheel so page scrolling still works
+          input.addEventListener('wheel', (e) => {
+            if (document.activeElement !== input || e.deltaY === 0) return;
+            e.preventDefault();
+            this.stepTime(unit, e.deltaY < 0 ? 1 : -1);
+          }, { signal, passive: false });
         });
 
-        setupInput(this.dom.minuteInput, (e) => {
-          const minute = safeParseInt(e.target.value, 0, 0, 59);
-          this.selectedTime.minute = minute;
-          this.notifyDateChange();
+        this.dom.meridiemButtons.forEach((button) => {
+          button.addEventListener('click', () => this.setMeridiem(button.dataset.pm === '1'), { signal });
         });
       }
     }
 
+    // Typed hour, minute or second; out-of-range numbers are clamped and text restores the field
+    setTimeField(unit, value) {
+      const time = { ...this.selectedTime };
+      const current = (unit === 'hour' && this.options.hour12) ? ((time.hour % 12) || 12) : time[unit];
+      const min = (unit === 'hour' && this.options.hour12) ? 1 : 0;
+      const max = (unit === 'hour') ? (this.options.hour12 ? 12 : 23) : 59;
+      const number = safeParseInt(toAsciiDigits(value), current, min, max);
+
+      if (unit === 'hour' && this.options.hour12) {
+        time.hour = (number % 12) + (time.hour >= 12 ? 12 : 0);
+      } else if (unit === 'minute') {
+        time.minute = number - (number % this.options.minuteStep);
+      } else {
+        time[unit] = number;
+      }
+      this.applyTime(time);
+    }
+
+    /**
+     * Arrow keys and wheel: one hour, one minute step or one second up or down.
+     * Minutes carry into hours and seconds into minutes; the time wraps around midnight.
+     */
+    stepTime(unit, direction) {
+      const { hour, minute, second } = this.selectedTime;
+      let seconds;
+      if (unit === 'minute') {
+        // Minutes between steps move to the neighbouring step first
+        const step = this.options.minuteStep;
+        const target = direction > 0 ? (Math.floor(minute / step) + 1) * step : (Math.ceil(minute / step) - 1) * step;
+        seconds = (hour * 3600) + (target * 60) + second;
+      } else {
+        seconds = (hour * 3600) + (minute * 60) + second + (direction * (unit === 'hour' ? 3600 : 1));
+      }
+
+      seconds = ((seconds % 86400) + 86400) % 86400;
+      this.applyTime({
+        hour: Math.floor(seconds / 3600),
+        minute: Math.floor((seconds % 3600) / 60),
+        second: seconds % 60
+      });
+    }
+
+    setMeridiem(pm) {
+      this.applyTime({ ...this.selectedTime, hour: (this.selectedTime.hour % 12) + (pm ? 12 : 0) });
+    }
+
+    applyTime(time) {
+      const changed = ['hour', 'minute', 'second'].some((unit) => time[unit] !== this.selectedTime[unit]);
+      this.selectedTime = time;
+      this.updateTimeDisplay();
+      if (changed) this.notifyDateChange();
+    }
+
+    // Wall-clock parts as the selected time; seconds only count when the picker shows them
+    toSelectedTime(parts) {
+      return {
+        hour: parts.hour,
+        minute: parts.minute,
+        second: this.options.showSeconds ? (parts.second || 0) : 0
+      };
+    }
+
+    // Anchor and document listeners of popover mode, removed with the rest through signal
+    attachPopoverListeners(signal) {
+      const { anchor } = this.options;
+
+      if (this.isTextAnchor()) {
+        anchor.addEventListener('focus', () => {
+          if (!this.restoringFocus) this.open();
+        }, { signal });
+        anchor.addEventListener('click', () => this.open(), { signal });
+      } else {
+        anchor.addEventListener('click', () => {
+          if (this.isOpen()) this.close();
+          else this.open();
+        }, { signal });
+      }
+
+      anchor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.isOpen()) {
+          e.preventDefault();
+          this.close();
+        } else if (e.key === 'ArrowDown' && e.altKey) {
+          e.preventDefault();
+          this.open();
+          this.focusDayCell();
+        }
+      }, { signal });
+
+      document.addEventListener('mousedown', (e) => {
+        if (this.isOpen() && !this.container.contains(e.target) && !anchor.contains(e.target)) this.close();
+      }, { signal });
+
+      // Tabbing away closes; re-renders that drop the focused cell have no relatedTarget
+      this.container.addEventListener('focusout', (e) => {
+        const next = e.relatedTarget;
+        if (next && !this.container.contains(next) && !anchor.contains(next)) this.close();
+      }, { signal });
+
+      const reposition = () => this.position();
+      window.addEventListener('resize', reposition, { signal });
+      // Capture scrolling of any ancestor, not only the window
+      window.addEventListener('scroll', reposition, { signal, capture: true, passive: true });
+    }
+
+    // Masks what was typed, previews it and moves the grid to a parsed date without selecting it
+    handleTextInput(e) {
+      const input = e.target;
+      const caret = input.selectionStart;
+      let value = maskDateText(input.value);
+      if (value !== input.value) {
+        const position = maskDateText(input.value.slice(0, caret)).length;
+        input.value = value;
+        input.setSelectionRange(position, position);
+      }
+
+      // Year-first numbers get their separators typed for them: 1403 -> 1403/ -> 1403/05/
+      if (e.inputType === 'insertText' && input.selectionEnd === value.length && /^\d{4}([\/\-.]\d{2})?$/.test(toAsciiDigits(value))) {
+        value += '/';
+        input.value = value;
+      }
+
+      const parsed = this.updateTextPreview();
+      if (!parsed) return;
+
+      const { year, month, day } = parsed.jalali;
+      this.currentYear = year;
+      this.currentMonth = month;
+      this.focusedDay = day;
+      this.view = 'days';
+      this.updateCalendarView();
+    }
+
+    // Selects the typed date (and time, when the text has one); unparseable text keeps its error state
+    commitTextInput() {
+      const parsed = this.updateTextPreview();
+      if (!parsed) return;
+
+      const { year, month, day } = parsed.jalali;
+      const time = this.toSelectedTime(parsed.time);
+      const timeChanged = parsed.hasTime && this.options.showTime &&
+        ['hour', 'minute', 'second'].some((unit) => time[unit] !== this.selectedTime[unit]);
+      const dateChanged = toDateKey(year, month, day) !== toDateKey(this.selectedDate.year, this.selectedDate.month, this.selectedDate.day);
+      // Enter and the change event that follows it commit the same text once
+      if (!timeChanged && !dateChanged) return;
+
+      if (timeChanged) {
+        this.selectedTime = time;
+        this.updateTimeDisplay();
+      }
+      this.currentYear = year;
+      this.currentMonth = month;
+      this.view = 'days';
+      this.selectDate(year, month, day);
+    }
+
+    /**
+     * Shows the parsed date under the text field, or why it cannot be used.
+     * Returns parseInput()'s result for a selectable date, otherwise null.
+     */
+    updateTextPreview() {
+      const { textInput, textPreview } = this.dom;
+      const { labels } = this.locale;
+      const value = textInput.value.trim();
+      const parsed = value === '' ? null : parseInput(value, { locale: this.options.locale, timezone: this.options.timezone });
+
+      let error = '';
+      if (value !== '' && !parsed) {
+        error = labels.invalidDate;
+      } else if (parsed && this.isDateDisabled(parsed.jalali.year, parsed.jalali.month, parsed.jalali.day)) {
+        error = labels.dateUnavailable;
+      }
+
+      textInput.setAttribute('aria-invalid', String(error !== ''));
+      textInput.parentNode.classList.toggle('is-invalid', error !== '');
+
+      if (error || !parsed) {
+        textPreview.textContent = error;
+        return null;
+      }
+
+      const { year, month, day } = parsed.jalali;
+      let preview = formatJalaliLabel(year, month, day, this.locale);
+      if (parsed.hasTime && this.options.showTime) {
+        preview += ` ${labels.at} ${this.digits(this.formatTimeText(this.toSelectedTime(parsed.time)))}`;
+      }
+      textPreview.textContent = preview;
+      return parsed;
+    }
+
+    // "14:30", or "14:30:05" with the seconds field; the text field always uses the 24-hour clock
+    formatTimeText(time) {
+      const text = `${pad2(time.hour)}:${pad2(time.minute)}`;
+      return this.options.showSeconds ? `${text}:${pad2(time.second)}` : text;
+    }
+
+    // Writes the selection into the text field as "۱۴۰۳/۰۵/۱۲ ۱۴:۳۰"
+    syncTextInput() {
+      if (!this.dom.textInput) return;
+
+      const { year, month, day } = this.selectedDate;
+      let text = `${year}/${pad2(month)}/${pad2(day)}`;
+      if (this.options.showTime) text += ` ${this.formatTimeText(this.selectedTime)}`;
+      this.dom.textInput.value = this.digits(text);
+      this.updateTextPreview();
+    }
+
+    handleGridKeydown(e) {
+      const cell = e.target.closest('.persian-calendar-day:not(.empty)');
+      if (!cell) return;
+
+      const day = safeParseInt(cell.dataset.day, 1, 1, 31);
+      const year = this.currentYear;
+      const month = this.currentMonth;
+      let target;
+
+      // In a right-to-left grid ArrowLeft moves forward in time
+      const forwardKey = this.locale.dir === 'ltr' ? 'ArrowRight' : 'ArrowLeft';
+      const backwardKey = this.locale.dir === 'ltr' ? 'ArrowLeft' : 'ArrowRight';
+      switch (e.key) {
+        case forwardKey:
+          target = addJalaliDays(year, month, day, 1);
+          break;
+        case backwardKey:
+          target = addJalaliDays(year, month, day, -1);
+          break;
+        case 'ArrowUp':
+          target = addJalaliDays(year, month, day, -7);
+          break;
+        case 'ArrowDown':
+          target = addJalaliDays(year, month, day, 7);
+          break;
+        case 'Home':
+          target = addJalaliDays(year, month, day, -this.getWeekColumn(year, month, day));
+          break;
+        case 'End':
+          target = addJalaliDays(year, month, day, 6 - this.getWeekColumn(year, month, day));
+          break;
+        case 'PageUp':
+          target = addJalaliMonths(year, month, day, e.shiftKey ? -12 : -1);
+          break;
+        case 'PageDown':
+          target = addJalaliMonths(year, month, day, e.shiftKey ? 12 : 1);
+          break;
+        case 'Enter':
+        case ' ':
+          e.preventDefault();
+          if (this.options.readOnly) {
+            // Follow the link renderDay put in the cell, if any
+            const link = cell.querySelector('a[href]');
+            if (link) link.click();
+            return;
+          }
+          this.selectDate(year, month, day);
+          // Unless the pick closed the popover and focus went back to its anchor
+          if (!this.options.anchor || this.isOpen()) this.focusDayCell();
+          return;
+        default:
+          return;
+      }
+
+      e.preventDefault();
+
+      // Skip disabled days by continuing in the same direction (inwards for Home/End)
+      const backwards = [backwardKey, 'ArrowUp', 'PageUp', 'End'].includes(e.key);
+      const stride = (e.key === 'ArrowUp' || e.key === 'ArrowDown') ? 7 : 1;
+      for (let i = 0; i < 366 && this.isDateDisabled(...target); i++) {
+        if (!this.isDateInRange(...target)) return;
+        target = addJalaliDays(...target, backwards ? -stride : stride);
+      }
+      if (this.isDateDisabled(...target)) return;
+
+      this.moveFocus(target[0], target[1], target[2]);
+    }
+
+    moveFocus(year, month, day) {
+      if (!isValidJalali(year, month, day)) return;
+
+      this.focusedDay = day;
+      if (year !== this.currentYear || month !== this.currentMonth) {
+        this.currentYear = year;
+        this.currentMonth = month;
+        this.updateCalendarView();
+      }
+      this.focusDayCell();
+    }
+
+    focusDayCell() {
+      if (!this.dom.daysContainer) return;
+
+      this.dom.daysContainer.querySelectorAll('.persian-calendar-day:not(.empty)').forEach((cell) => {
+        const isFocused = cell.dataset.day === String(this.focusedDay);
+        cell.tabIndex = isFocused ? 0 : -1;
+        if (isFocused) cell.focus();
+      });
+    }
+
+    isDateInRange(year, month, day) {
+      const key = toDateKey(year, month, day);
+      return key >= this.minKey && key <= this.maxKey;
+    }
+
+    isDateDisabled(year, month, day) {
+      if (!isValidJalali(year, month, day) || !this.isDateInRange(year, month, day)) return true;
+      if (typeof this.options.isDateDisabled === 'function') {
+        return this.options.isDateDisabled({ year, month, day }) === true;
+      }
+      return false;
+    }
+
+    isMonthOutOfRange(year, month) {
+      if (year < 1 || year > 3000) return true;
+      return toDateKey(year, month, getDaysInJalaliMonth(year, month)) < this.minKey || toDateKey(year, month, 1) > this.maxKey;
+    }
+
+    isYearOutOfRange(year) {
+      if (year < 1 || year > 3000) return true;
+      return toDateKey(year, 12, getDaysInJalaliMonth(year, 12)) < this.minKey || toDateKey(year, 1, 1) > this.maxKey;
+    }
+
+    isRangeMode() {
+      return this.options.mode === 'range';
+    }
+
     selectDate(year, month, day) {
+      if (this.isDateDisabled(year, month, day)) return;
+
       this.selectedDate = { year, month, day };
+      this.focusedDay = day;
+
+      if (this.isRangeMode()) {
+        this.selectRangeDate(year, month, day);
+        return;
+      }
+
       this.updateCalendarView();
       this.notifyDateChange();
+      this.closeAfterPick();
     }
 
-    previousMonth() {
-      this.currentMonth--;
-      if (this.currentMonth < 1) {
-        this.currentMonth = 12;
-        this.currentYear--;
+    selectRangeDate(year, month, day) {
+      const date = { year, month, day };
+      const key = toDateKey(year, month, day);
+
+      // Start a new range on first pick, after a completed range, or when picking before the start
+      if (!this.rangeStart || this.rangeEnd || key < toDateKey(this.rangeStart.year, this.rangeStart.month, this.rangeStart.day)) {
+        this.rangeStart = date;
+        this.rangeEnd = null;
+        this.updateCalendarView();
+        return;
       }
+
+      this.rangeEnd = date;
+      this.hoverDate = null;
+      this.updateCalendarView();
+      this.notifyDateChange();
+      this.closeAfterPick();
+    }
+
+    // Picking a day (or a range's end) completes a popover that has no time picker
+    closeAfterPick() {
+      if (this.options.anchor && !this.options.showTime) this.closeCalendar();
+    }
+
+    updateRangeHighlight() {
+      if (!this.isRangeMode() || !this.dom.daysContainer) return;
+
+      const start = this.rangeStart ? toDateKey(this.rangeStart.year, this.rangeStart.month, this.rangeStart.day) : null;
+      const endDate = this.rangeEnd || this.hoverDate;
+      let end = endDate ? toDateKey(endDate.year, endDate.month, endDate.day) : null;
+      if (start === null || (end !== null && end < start)) end = null;
+      const isPreview = !this.rangeEnd && end !== null;
+
+      this.dom.daysContainer.querySelectorAll('.persian-calendar-day:not(.empty)').forEach((cell) => {
+        const key = toDateKey(this.currentYear, this.currentMonth, safeParseInt(cell.dataset.day, 1, 1, 31));
+        const isEnd = end !== null && key === end;
+        const inRange = end !== null && key > start && key < end;
+        const isConfirmed = key === start || (!isPreview && (isEnd || inRange));
+
+        cell.classList.toggle('range-start', key === start);
+        cell.classList.toggle('range-end', isEnd);
+        cell.classList.toggle('in-range', inRange);
+        cell.classList.toggle('range-preview', isPreview && (inRange || isEnd));
+        cell.classList.toggle('selected', key === start || (!isPreview && isEnd));
+        cell.setAttribute('aria-selected', isConfirmed ? 'true' : 'false');
+      });
+    }
+
+    previousMonth() {
+      const [year, month] = addJalaliMonths(this.currentYear, this.currentMonth, 1, -1);
+      if (this.isMonthOutOfRange(year, month)) return;
+      this.currentYear = year;
+      this.currentMonth = month;
       this.updateCalendarView();
     }
 
     nextMonth() {
-      this.currentMonth++;
-      if (this.currentMonth > 12) {
-        this.currentMonth = 1;
-        this.currentYear++;
+      const [year, month] = addJalaliMonths(this.currentYear, this.currentMonth, 1, 1);
+      if (this.isMonthOutOfRange(year, month)) return;
+      this.currentYear = year;
+      this.currentMonth = month;
+      this.updateCalendarView();
+    }
+
+    // Prev/next buttons step by month, year or decade depending on the view
+    navigate(direction) {
+      if (this.view === 'days') {
+        if (direction < 0) this.previousMonth();
+        else this.nextMonth();
+        return;
+      }
+
+      if (this.view === 'months') {
+        if (this.isYearOutOfRange(this.currentYear + direction)) return;
+        this.currentYear += direction;
+      } else {
+        if (this.isDecadeOutOfRange(this.getDecadeStart() + (10 * direction))) return;
+        this.currentYear = Math.min(3000, Math.max(1, this.currentYear + (10 * direction)));
       }
       this.updateCalendarView();
     }
 
-    setToNow() {
-      // Get current time adjusted for Iran timezone (+3:30)
-      let now = new Date();
+    updateNavButtons() {
+      let isPrevOutOfRange;
+      let isNextOutOfRange;
+      if (this.view === 'years') {
+        isPrevOutOfRange = this.isDecadeOutOfRange(this.getDecadeStart() - 10);
+        isNextOutOfRange = this.isDecadeOutOfRange(this.getDecadeStart() + 10);
+      } else if (this.view === 'months') {
+        isPrevOutOfRange = this.isYearOutOfRange(this.currentYear - 1);
+        isNextOutOfRange = this.isYearOutOfRange(this.currentYear + 1);
+      } else {
+        const [prevYear, prevMonth] = addJalaliMonths(this.currentYear, this.currentMonth, 1, -1);
+        const [nextYear, nextMonth] = addJalaliMonths(this.currentYear, this.currentMonth, 1, 1);
+        isPrevOutOfRange = this.isMonthOutOfRange(prevYear, prevMonth);
+        isNextOutOfRange = this.isMonthOutOfRange(nextYear, nextMonth);
+      }
 
-      // Apply Iran timezone offset (210 minutes = +3:30)
-      const iranOffsetMinutes = 210;
-      const browserOffsetMinutes = -now.getTimezoneOffset();
-      const diffMinutes = iranOffsetMinutes - browserOffsetMinutes;
-      now = new Date(now.getTime() + diffMinutes * 60 * 1000);
+      const unit = { days: 'Month', months: 'Year', years: 'Decade' }[this.view];
+      if (this.dom.prevButton) {
+        this.dom.prevButton.disabled = isPrevOutOfRange;
+        this.dom.prevButton.setAttribute('aria-label', this.locale.labels[`previous${unit}`]);
+      }
+      if (this.dom.nextButton) {
+        this.dom.nextButton.disabled = isNextOutOfRange;
+        this.dom.nextButton.setAttribute('aria-label', this.locale.labels[`next${unit}`]);
+      }
+    }
 
-      const [jy, jm, jd] = gregorianToJalali(now.getFullYear(), now.getMonth() + 1, now.getDate());
+    // Header click: days -> months -> years
+    zoomOut() {
+      if (this.view === 'years') return;
+      if (this.view === 'days') {
+        this.overviewReturn = { year: this.currentYear, month: this.currentMonth };
+        this.view = 'months';
+      } else {
+        this.view = 'years';
+      }
+      this.updateCalendarView();
+      this.focusOverviewCell();
+    }
+
+    pickOverviewCell(value) {
+      if (this.view === 'years') {
+        if (this.isYearOutOfRange(value)) return;
+        this.currentYear = value;
+        this.view = 'months';
+        this.updateCalendarView();
+        this.focusOverviewCell();
+        return;
+      }
+
+      if (this.isMonthOutOfRange(this.currentYear, value)) return;
+      this.currentMonth = value;
+      this.view = 'days';
+      this.updateCalendarView();
+      this.focusDayCell();
+    }
 
+    // Escape: back to the month that was shown before the overview opened
+    closeOverview() {
+      if (this.overviewReturn) {
+        this.currentYear = this.overviewReturn.year;
+        this.currentMonth = this.overviewReturn.month;
+      }
+      this.view = 'days';
+      this.updateCalendarView();
+      this.focusDayCell();
+    }
+
+    getDecadeStart() {
+      return Math.floor(this.currentYear / 10) * 10;
+    }
+
+    isDecadeOutOfRange(decadeStart) {
+      for (let year = decadeStart; year < decadeStart + 10; year++) {
+        if (!this.isYearOutOfRange(year)) return false;
+      }
+      return true;
+    }
+
+    // 12 months of the current year, or the years around the current decade
+    createOverviewFragment() {
+      const today = toZonedParts(new Date(), this.options.timezone);
+      const [todayJy, todayJm] = gregorianToJalali(today.year, today.month, today.day);
+      const selected = this.isRangeMode() ? (this.rangeStart || {}) : this.selectedDate;
+      const fragment = document.createDocumentFragment();
+
+      const appendCell = (value, label, state) => {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'persian-calendar-overview-cell';
+        cell.dataset.value = value;
+        cell.textContent = label;
+        cell.disabled = state.isOutOfRange;
+        if (state.isToday) {
+          cell.classList.add('today');
+          cell.setAttribute('aria-current', 'date');
+        }
+        if (state.isSelected) cell.classList.add('selected');
+        if (state.isOutside) cell.classList.add('outside');
+        fragment.appendChild(cell);
+      };
+
+      if (this.view === 'months') {
+        this.locale.months.forEach((name, index) => {
+          const month = index + 1;
+          appendCell(month, name, {
+            isOutOfRange: this.isMonthOutOfRange(this.currentYear, month),
+            isToday: this.currentYear === todayJy && month === todayJm,
+            isSelected: this.currentYear === selected.year && month === selected.month
+          });
+        });
+      } else {
+        const decadeStart = this.getDecadeStart();
+        for (let year = decadeStart - 1; year <= decadeStart + 10; year++) {
+          appendCell(year, this.digits(year), {
+            isOutOfRange: this.isYearOutOfRange(year),
+            isToday: year === todayJy,
+            isSelected: year === selected.year,
+            isOutside: year < decadeStart || year > decadeStart + 9
+          });
+        }
+      }
+
+      return fragment;
+    }
+
+    focusOverviewCell() {
+      if (!this.dom.overview) return;
+      const cell = this.dom.overview.querySelector('.selected:not(:disabled)') ||
+        this.dom.overview.querySelector('.persian-calendar-overview-cell:not(:disabled):not(.outside)');
+      if (cell) cell.focus();
+    }
+
+    getHeaderLabel() {
+      if (this.view === 'months') return this.digits(this.currentYear);
+      if (this.view === 'years') {
+        const decadeStart = this.getDecadeStart();
+        return `${this.digits(decadeStart)} – ${this.digits(decadeStart + 9)}`;
+      }
+      return `${this.locale.months[this.currentMonth - 1]} ${this.digits(this.currentYear)}`;
+    }
+
+    // Numbers in the locale's digit set
+    digits(value) {
+      return toLocaleDigits(value, this.locale);
+    }
+
+    // Weekday name indexes (Saturday=0, ..., Friday=6) in column order
+    getWeekdayOrder() {
+      return [0, 1, 2, 3, 4, 5, 6].map((column) => (this.firstDay + 1 + column) % 7);
+    }
+
+    // Grid column (0-6) of a Jalali date, counted from the locale's first day of the week
+    getWeekColumn(year, month, day) {
+      // getJalaliWeekday counts from Saturday; firstDay counts from Sunday
+      return (getJalaliWeekday(year, month, day) + 6 - this.firstDay + 7) % 7;
+    }
+
+    setToNow() {
+      // Get current wall-clock time in the site timezone
+      const now = toZonedParts(new Date(), this.options.timezone);
+
+      const [jy, jm, jd] = gregorianToJalali(now.year, now.month, now.day);
+
+      // Only show today's month when today itself can't be picked
+      if (this.isDateDisabled(jy, jm, jd)) {
+        if (!this.isMonthOutOfRange(jy, jm)) {
+          this.view = 'days';
+          this.currentYear = jy;
+          this.currentMonth = jm;
+          this.updateCalendarView();
+        }
+        return;
+      }
+
+      this.view = 'days';
       this.currentYear = jy;
       this.currentMonth = jm;
       this.selectedDate = { year: jy, month: jm, day: jd };
-      this.selectedTime = {
-        hour: now.getHours(),
-        minute: now.getMinutes()
-      };
+      this.focusedDay = jd;
+      this.selectedTime = this.toSelectedTime(now);
 
       this.updateCalendarView();
       this.updateTimeDisplay();
@@ -460,64 +1369,280 @@
 
     updateCalendarView() {
       if (this.dom.monthSelect) this.dom.monthSelect.value = this.currentMonth;
-      if (this.dom.dayInput) this.dom.dayInput.value = toPersianDigits(this.selectedDate.day);
-      if (this.dom.yearInput) this.dom.yearInput.value = toPersianDigits(this.currentYear);
-      if (this.dom.currentMonthText) this.dom.currentMonthText.textContent = `${PERSIAN_MONTHS[this.currentMonth - 1]} ${toPersianDigits(this.currentYear)}`;
+      if (this.dom.dayInput) this.dom.dayInput.value = this.digits(this.selectedDate.day);
+      if (this.dom.yearInput) this.dom.yearInput.value = this.digits(this.currentYear);
+      this.updateNavButtons();
+
+      const monthLabel = this.getHeaderLabel();
+      const isDaysView = this.view === 'days';
+      if (this.dom.currentMonthText) {
+        this.dom.currentMonthText.textContent = monthLabel;
+        this.dom.currentMonthText.disabled = this.view === 'years';
+        if (isDaysView) {
+          this.options.secondaryCalendars.forEach((calendar) => {
+            const secondary = document.createElement('span');
+            secondary.className = `persian-calendar-secondary-month persian-calendar-secondary-${calendar}`;
+            secondary.textContent = this.getSecondaryMonthLabel(calendar);
+            this.dom.currentMonthText.appendChild(secondary);
+          });
+        }
+      }
 
-      if (this.dom.daysContainer) {
+      if (this.dom.grid) this.dom.grid.hidden = !isDaysView;
+      if (this.dom.overview) {
+        const hadFocus = this.dom.overview.contains(document.activeElement);
+        this.dom.overview.hidden = isDaysView;
+        this.dom.overview.className = `persian-calendar-overview persian-calendar-overview-${this.view}`;
+        this.dom.overview.textContent = '';
+        if (!isDaysView) {
+          this.dom.overview.appendChild(this.createOverviewFragment());
+          if (hadFocus) this.focusOverviewCell();
+        }
+      }
+
+      if (this.dom.daysContainer && isDaysView) {
+        const hadFocus = this.dom.daysContainer.contains(document.activeElement);
         this.dom.daysContainer.textContent = '';
         this.dom.daysContainer.appendChild(this.createDaysFragment());
+        this.updateRangeHighlight();
+        if (hadFocus) this.focusDayCell();
+      }
+
+      // Announce month changes, but not the initial render
+      if (this.dom.liveRegion && this.announcedMonth !== undefined && this.announcedMonth !== monthLabel) {
+        this.dom.liveRegion.textContent = monthLabel;
+      }
+      this.announcedMonth = monthLabel;
+
+      // Report the displayed month when it changes, e.g. to load data for it
+      if (isDaysView) {
+        const monthKey = toDateKey(this.currentYear, this.currentMonth, 0);
+        const monthChanged = this.shownMonthKey !== undefined && this.shownMonthKey !== monthKey;
+        this.shownMonthKey = monthKey;
+        if (monthChanged) {
+          const shownMonth = { year: this.currentYear, month: this.currentMonth };
+          if (typeof this.options.onMonthChange === 'function') this.options.onMonthChange(shownMonth);
+          this.emit('monthchange', shownMonth);
+        }
       }
     }
 
+    // Jalali day number plus the matching day of each secondary calendar
+    appendSecondaryDays(dayElement, day) {
+      dayElement.classList.add('has-secondary');
+      const number = document.createElement('span');
+      number.className = 'persian-calendar-day-number';
+      number.textContent = this.digits(day);
+      dayElement.appendChild(number);
+
+      const gregorian = jalaliToGregorian(this.currentYear, this.currentMonth, day);
+      this.options.secondaryCalendars.forEach((calendar) => {
+        const secondary = document.createElement('span');
+        secondary.className = `persian-calendar-day-secondary persian-calendar-day-${calendar}`;
+        secondary.setAttribute('aria-hidden', 'true');
+        secondary.textContent = this.digits(SECONDARY_CALENDARS[calendar].convert(...gregorian)[2]);
+        dayElement.appendChild(secondary);
+      });
+    }
+
+    // "ژوئن – ژوئیه ۲۰۲۴" style label of the secondary months the current Jalali month spans
+    getSecondaryMonthLabel(calendar) {
+      const { convert, monthsKey } = SECONDARY_CALENDARS[calendar];
+      const months = this.locale[monthsKey];
+      const [firstYear, firstMonth] = convert(...jalaliToGregorian(this.currentYear, this.currentMonth, 1));
+      const lastDay = getDaysInJalaliMonth(this.currentYear, this.currentMonth);
+      const [lastYear, lastMonth] = convert(...jalaliToGregorian(this.currentYear, this.currentMonth, lastDay));
+
+      const last = `${months[lastMonth - 1]} ${this.digits(lastYear)}`;
+      if (firstYear === lastYear && firstMonth === lastMonth) return last;
+      const first = firstYear === lastYear ? months[firstMonth - 1] : `${months[firstMonth - 1]} ${this.digits(firstYear)}`;
+      return `${first} – ${last}`;
+    }
+
     updateTimeDisplay() {
-      if (!this.options.showTime) return;
+      if (!this.options.showTime || !this.dom.hourInput) return;
+
+      const { hour, minute, second } = this.selectedTime;
+      this.dom.hourInput.value = this.digits(pad2(this.options.hour12 ? ((hour % 12) || 12) : hour));
+      this.dom.minuteInput.value = this.digits(pad2(minute));
+      if (this.dom.secondInput) this.dom.secondInput.value = this.digits(pad2(second));
 
-      this.container.querySelector('.persian-calendar-hour').value = this.selectedTime.hour.toString().padStart(2, '0');
-      this.container.querySelector('.persian-calendar-minute').value = this.selectedTime.minute.toString().padStart(2, '0');
+      this.dom.meridiemButtons.forEach((button) => {
+        const active = (button.dataset.pm === '1') === (hour >= 12);
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+      });
     }
 
-    notifyDateChange() {
-      const [gy, gm, gd] = jalaliToGregorian(this.selectedDate.year, this.selectedDate.month, this.selectedDate.day);
-      const gregorianDate = new Date(gy, gm - 1, gd, this.selectedTime.hour, this.selectedTime.minute);
+    buildDateInfo(jalaliDate) {
+      const [gy, gm, gd] = jalaliToGregorian(jalaliDate.year, jalaliDate.month, jalaliDate.day);
+      const gregorianDate = this.toInstant(gy, gm, gd);
 
-      this.options.onDateSelect({
-        jalali: this.selectedDate,
+      return {
+        jalali: { ...jalaliDate },
         gregorian: { year: gy, month: gm, day: gd },
-        time: this.selectedTime,
+        time: { ...this.selectedTime },
         date: gregorianDate
-      });
+      };
+    }
+
+    notifyDateChange() {
+      if (this.isRangeMode() && (!this.rangeStart || !this.rangeEnd)) return;
+
+      const value = this.getValue();
+      this.syncTextInput();
+      this.options.onDateSelect(value);
+      this.emit('change', value);
     }
 
     getSelectedDate() {
       const [gy, gm, gd] = jalaliToGregorian(this.selectedDate.year, this.selectedDate.month, this.selectedDate.day);
-      return new Date(gy, gm - 1, gd, this.selectedTime.hour, this.selectedTime.minute);
+      return this.toInstant(gy, gm, gd);
+    }
+
+    // Date for the selected wall-clock time on a Gregorian day, interpreted in the site timezone
+    toInstant(gy, gm, gd) {
+      return fromZonedParts({
+        year: gy,
+        month: gm,
+        day: gd,
+        hour: this.selectedTime.hour,
+        minute: this.selectedTime.minute,
+        second: this.selectedTime.second
+      }, this.options.timezone);
     }
 
+    getSelectedRange() {
+      if (!this.rangeStart || !this.rangeEnd) return null;
+      return {
+        start: this.buildDateInfo(this.rangeStart).date,
+        end: this.buildDateInfo(this.rangeEnd).date
+      };
+    }
+
+    /**
+     * Close button and Escape. A popover hides itself and returns focus to its
+     * anchor; an embedded calendar leaves closing to its host through onClose
+     * or the persiancalendar:close event.
+     */
     closeCalendar() {
-      // Find and close the Gutenberg popover
-      const popover = this.container.closest('.components-popover');
-      if (popover) {
-        // Try to find and click the toggle button to close properly
-        const toggleSelector = '.editor-post-schedule__dialog-toggle, .block-editor-post-schedule__toggle';
-        const toggle = document.querySelector(toggleSelector);
-        if (toggle) {
-          toggle.click();
-        } else {
-          // Fallback: hide the popover directly
-          popover.style.display = 'none';
+      if (this.options.anchor) {
+        if (!this.isOpen()) return;
+        // Focus inside, or lost along with a re-rendered grid cell
+        const active = document.activeElement;
+        const hadFocus = !active || active === document.body || !active.isConnected || this.container.contains(active);
+        this.container.hidden = true;
+        this.options.anchor.setAttribute('aria-expanded', 'false');
+        if (hadFocus) {
+          // Focusing a text anchor would open the popover again
+          this.restoringFocus = true;
+          this.options.anchor.focus();
+          this.restoringFocus = false;
         }
       }
+
+      this.emit('close');
+      if (typeof this.options.onClose === 'function') {
+        this.options.onClose();
+      }
     }
-  }
 
-  // Export PersianDateConverter for compatibility
-  window.PersianDateConverter = {
-    gregorianToJalali,
-    jalaliToGregorian,
-    isValidGregorian,
-    isValidJalali
-  };
+    /**
+     * Attach a popup Jalali date picker to a text input.
+     *
+     * Options: format (PHP-style such as "Y/m/d", or "YYYY/MM/DD"), persianDigits, rtl,
+     * plus any PersianCalendar option (minDate, timezone, locale, ...).
+     * Returns a controller with open(), close() and destroy().
+     */
+    static initDatePicker(input, options = {}) {
+      if (!input || !(input instanceof Element)) {
+        throw new Error('PersianCalendar: Invalid input element');
+      }
+
+      const { format = 'Y/m/d', persianDigits = false, ...calendarOptions } = options;
+      const timezone = resolveTimezone(calendarOptions.timezone);
+
+      const popup = document.createElement('div');
+      document.body.appendChild(popup);
+
+      // Noon in the site timezone stays clear of day boundaries
+      const toDate = (gy, gm, gd) => fromZonedParts({ year: gy, month: gm, day: gd, hour: 12 }, timezone);
+
+      // The input's value as { date, jalali }: a Date for its day and whether it was written in Jalali
+      const readInputDate = () => {
+        const parsed = parseJalaliString(input.value);
+        if (parsed && !isGregorianYear(parsed.year)) {
+          return { date: toDate(...jalaliToGregorian(parsed.year, parsed.month, parsed.day)), jalali: true };
+        }
+
+        const match = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})/.exec(toAsciiDigits(input.value || ''));
+        if (!match) return null;
+        const gregorian = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+        if (!isGregorianYear(gregorian[0]) || !isValidGregorian(...gregorian)) return null;
+        return { date: toDate(...gregorian), jalali: false };
+      };
+
+      const instance = new PersianCalendar(popup, {
+        ...calendarOptions,
+        timezone,
+        showTime: false,
+        anchor: input,
+        onDateSelect: (dateInfo) => {
+          input.value = PersianCalendar.toPersian(dateInfo.date, { format, persianDigits, timezone, locale: calendarOptions.locale });
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+          if (typeof calendarOptions.onDateSelect === 'function') calendarOptions.onDateSelect(dateInfo);
+        }
+      });
+
+      // A Gregorian value already in the input is shown as its Jalali date
+      const initial = readInputDate();
+      if (initial && !initial.jalali) {
+        input.value = PersianCalendar.toPersian(initial.date, { format, persianDigits, timezone, locale: calendarOptions.locale });
+      }
+
+      // Each opening starts from the input's current value
+      popup.addEventListener('persiancalendar:open', () => {
+        const current = readInputDate();
+        instance.setDate(current ? current.date : new Date());
+      });
+
+      return {
+        open: () => instance.open(),
+        close: () => instance.close(),
+        getCalendar: () => instance,
+        destroy: () => {
+          instance.destroy();
+          popup.remove();
+        }
+      };
+    }
+
+    /**
+     * Format a date (Date, timestamp in ms or date string) as a Jalali string.
+     * Returns null for invalid input.
+     */
+    static toPersian(date, options = {}) {
+      // Strings go to format() as written, so "2025-03-15" stays that day instead of UTC midnight
+      const value = (date instanceof Date || typeof date === 'string') ? date : new Date(date);
+      if (value instanceof Date && isNaN(value.getTime())) return null;
+
+      return format(value, options.format || 'Y/m/d', options) || null;
+    }
+
+    /**
+     * Convert a year-first Jalali date string to a Gregorian "YYYY-MM-DD" string.
+     * Returns null when the value is not a Jalali date (including Gregorian input).
+     */
+    static toGregorian(value) {
+      const parsed = parseJalaliString(value);
+      // Gregorian input is left untouched
+      if (!parsed || isGregorianYear(parsed.year)) return null;
+
+      const [gy, gm, gd] = jalaliToGregorian(parsed.year, parsed.month, parsed.day);
+      return `${gy}-${String(gm).padStart(2, '0')}-${String(gd).padStart(2, '0')}`;
+    }
+  }
 
   window.PersianCalendar = PersianCalendar;
 })();
+
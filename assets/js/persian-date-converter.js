@@ -0,0 +1,883 @@
+/* Persian Date Converter - shared by the calendar, block editor and classic editor scripts */
+(function () {
+  'use strict';
+
+  const G_DAYS_IN_MONTH_NON_LEAP = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+  const JALALI_EPOCH_DIFFERENCE = 355666;
+  const JALALI_33_YEAR_CYCLE_DAYS = 12053;
+  const GREGORIAN_4_YEAR_CYCLE_DAYS = 1461;
+  const JALALI_YEAR_START_OFFSET = -1595;
+  const GREGORIAN_EPOCH_DIFFERENCE = -355668;
+  const JALALI_33_YEAR_CYCLE_LEAP_DAYS = 8;
+  const GREGORIAN_400_YEAR_CYCLE_DAYS = 146097;
+  const GREGORIAN_100_YEAR_CYCLE_DAYS = 36524;
+
+  // Gregorian year of Jalali 3000/12/29, so every supported Jalali date converts both ways
+  const MAX_GREGORIAN_YEAR = 3622;
+
+  const isValidGregorian = (gy, gm, gd) => {
+    if (!Number.isInteger(gy) || !Number.isInteger(gm) || !Number.isInteger(gd)) {
+      return false;
+    }
+    if (gy < 1 || gy > MAX_GREGORIAN_YEAR || gm < 1 || gm > 12 || gd < 1 || gd > 31) {
+      return false;
+    }
+    return true;
+  };
+
+  const gregorianToJalali = (gy, gm, gd) => {
+    if (!isValidGregorian(gy, gm, gd)) {
+      return [0, 0, 0];
+    }
+
+    // Use correct formula from jalalidatepicker.min.js
+    const gy2 = gm > 2 ? (gy + 1) : gy;
+    let days = JALALI_EPOCH_DIFFERENCE + (365 * gy) + Math.floor((gy2 + 3) / 4) - Math.floor((gy2 + 99) / 100) + Math.floor((gy2 + 399) / 400) + gd + G_DAYS_IN_MONTH_NON_LEAP[gm - 1];
+
+    let jy = JALALI_YEAR_START_OFFSET + 33 * Math.floor(days / JALALI_33_YEAR_CYCLE_DAYS);
+    days %= JALALI_33_YEAR_CYCLE_DAYS;
+
+    jy += 4 * Math.floor(days / GREGORIAN_4_YEAR_CYCLE_DAYS);
+    days %= GREGORIAN_4_YEAR_CYCLE_DAYS;
+
+    if (days > 365) {
+      jy += Math.floor((days - 1) / 365);
+      days = (days - 1) % 365;
+    }
+
+    let jm, jd;
+    if (days < 186) {
+      jm = 1 + Math.floor(days / 31);
+      jd = 1 + (days % 31);
+    } else {
+      jm = 7 + Math.floor((days - 186) / 30);
+      jd = 1 + ((days - 186) % 30);
+    }
+
+    return [jy, jm, jd];
+  };
+
+  // Day number of a Jalali date on the scale jalaliToGregorian works in.
+  // Leap years are derived from it too, so the grid and conversion always agree.
+  const jalaliDayNumber = (jy, jm, jd) => {
+    const jy_adj = jy + 1595;
+    let days = GREGORIAN_EPOCH_DIFFERENCE + (365 * jy_adj) + (Math.floor(jy_adj / 33) * JALALI_33_YEAR_CYCLE_LEAP_DAYS) + Math.floor(((jy_adj % 33) + 3) / 4) + jd;
+
+    if (jm < 7) {
+      days += (jm - 1) * 31;
+    } else {
+      days += (jm - 7) * 30 + 186;
+    }
+
+    return days;
+  };
+
+  /**
+   * Whether Esfand of the given Jalali year has 30 days (years 1-3000).
+   */
+  const isLeapJalaliYear = (jy) => {
+    if (!Number.isInteger(jy) || jy < 1 || jy > 3000) {
+      return false;
+    }
+    return jalaliDayNumber(jy + 1, 1, 1) - jalaliDayNumber(jy, 1, 1) === 366;
+  };
+
+  /**
+   * Number of days in a Jalali month, or 0 when the year or month is out of range.
+   */
+  const daysInMonth = (jy, jm) => {
+    if (!Number.isInteger(jy) || !Number.isInteger(jm) || jy < 1 || jy > 3000 || jm < 1 || jm > 12) {
+      return 0;
+    }
+    if (jm <= 6) return 31;
+    if (jm <= 11) return 30;
+    return isLeapJalaliYear(jy) ? 30 : 29;
+  };
+
+  const isValidJalali = (jy, jm, jd) => {
+    if (!Number.isInteger(jd) || jd < 1) {
+      return false;
+    }
+    return jd <= daysInMonth(jy, jm);
+  };
+
+  const jalaliToGregorian = (jy, jm, jd) => {
+    if (!isValidJalali(jy, jm, jd)) {
+      return [0, 0, 0];
+    }
+
+    let days = jalaliDayNumber(jy, jm, jd);
+
+    let gy = 400 * Math.floor(days / GREGORIAN_400_YEAR_CYCLE_DAYS);
+    days %= GREGORIAN_400_YEAR_CYCLE_DAYS;
+
+    if (days > GREGORIAN_100_YEAR_CYCLE_DAYS) {
+      gy += 100 * Math.floor(--days / GREGORIAN_100_YEAR_CYCLE_DAYS);
+      days %= GREGORIAN_100_YEAR_CYCLE_DAYS;
+      if (days >= 365) days++;
+    }
+
+    gy += 4 * Math.floor(days / GREGORIAN_4_YEAR_CYCLE_DAYS);
+    days %= GREGORIAN_4_YEAR_CYCLE_DAYS;
+
+    if (days > 365) {
+      gy += Math.floor((days - 1) / 365);
+      days = (days - 1) % 365;
+    }
+
+    let gd = days + 1;
+    const isLeap = ((gy % 4 === 0) && (gy % 100 !== 0)) || (gy % 400 === 0);
+    const G_DAYS_IN_MONTH = [0, 31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+    let gm;
+    for (gm = 1; gm <= 12; gm++) {
+      if (gd <= G_DAYS_IN_MONTH[gm]) break;
+      gd -= G_DAYS_IN_MONTH[gm];
+    }
+
+    return [gy, gm, gd];
+  };
+
+  // Lunar Hijri dates use the tabular (arithmetic) Islamic calendar. Sighting-based calendars can
+  // differ by a day, so sites may shift it with PersianCalendarSettings.hijriAdjustment.
+  const HIJRI_EPOCH_JDN = 1948440;
+
+  const getHijriAdjustment = () => {
+    const adjustment = parseInt((window.PersianCalendarSettings || {}).hijriAdjustment, 10);
+    return isNaN(adjustment) ? 0 : adjustment;
+  };
+
+  const gregorianToJdn = (gy, gm, gd) => {
+    const a = Math.floor((14 - gm) / 12);
+    const y = gy + 4800 - a;
+    const m = gm + (12 * a) - 3;
+    return gd + Math.floor(((153 * m) + 2) / 5) + (365 * y) + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+  };
+
+  const jdnToGregorian = (jdn) => {
+    const a = jdn + 32044;
+    const b = Math.floor(((4 * a) + 3) / 146097);
+    const c = a - Math.floor((146097 * b) / 4);
+    const d = Math.floor(((4 * c) + 3) / 1461);
+    const e = c - Math.floor((1461 * d) / 4);
+    const m = Math.floor(((5 * e) + 2) / 153);
+    return [
+      (100 * b) + d - 4800 + Math.floor(m / 10),
+      m + 3 - (12 * Math.floor(m / 10)),
+      e - Math.floor(((153 * m) + 2) / 5) + 1
+    ];
+  };
+
+  const hijriToJdn = (hy, hm, hd) => {
+    return hd + Math.ceil(29.5 * (hm - 1)) + ((hy - 1) * 354) + Math.floor((3 + (11 * hy)) / 30) + HIJRI_EPOCH_JDN - 1;
+  };
+
+  /**
+   * Number of days in a lunar Hijri month, or 0 when the year or month is out of range.
+   */
+  const hijriDaysInMonth = (hy, hm) => {
+    if (!Number.isInteger(hy) || !Number.isInteger(hm) || hy < 1 || hy > 3000 || hm < 1 || hm > 12) {
+      return 0;
+    }
+    if (hm === 12) return ((14 + (11 * hy)) % 30) < 11 ? 30 : 29;
+    return hm % 2 === 1 ? 30 : 29;
+  };
+
+  const isValidHijri = (hy, hm, hd) => {
+    if (!Number.isInteger(hd) || hd < 1) {
+      return false;
+    }
+    return hd <= hijriDaysInMonth(hy, hm);
+  };
+
+  const gregorianToHijri = (gy, gm, gd) => {
+    if (!isValidGregorian(gy, gm, gd)) {
+      return [0, 0, 0];
+    }
+
+    const jdn = gregorianToJdn(gy, gm, gd) - getHijriAdjustment();
+    const hy = Math.floor(((30 * (jdn - HIJRI_EPOCH_JDN)) + 10646) / 10631);
+    if (hy < 1) {
+      return [0, 0, 0];
+    }
+    const hm = Math.min(12, Math.ceil((jdn - 29 - hijriToJdn(hy, 1, 1)) / 29.5) + 1);
+    return [hy, hm, jdn - hijriToJdn(hy, hm, 1) + 1];
+  };
+
+  const hijriToGregorian = (hy, hm, hd) => {
+    if (!isValidHijri(hy, hm, hd)) {
+      return [0, 0, 0];
+    }
+    return jdnToGregorian(hijriToJdn(hy, hm, hd) + getHijriAdjustment());
+  };
+
+  // Timezone support: IANA names go through Intl.DateTimeFormat, fixed UTC offsets are applied directly
+  const DEFAULT_TIMEZONE = 'Asia/Tehran';
+  const zoneFormatters = {};
+
+  // Parses offsets such as "+03:30", "UTC-5", "+4.5" or a number of hours (WordPress gmt_offset)
+  const parseUtcOffset = (timeZone) => {
+    if (typeof timeZone === 'number') return isFinite(timeZone) ? Math.round(timeZone * 60) : null;
+    const match = /^(?:UTC|GMT)?\s*([+-]?)(\d{1,2})(?::?(\d{2})|(\.\d+))?$/i.exec(String(timeZone).trim());
+    if (!match) return null;
+    let minutes = parseInt(match[2], 10) * 60;
+    if (match[3]) minutes += parseInt(match[3], 10);
+    if (match[4]) minutes += Math.round(parseFloat(match[4]) * 60);
+    return match[1] === '-' ? -minutes : minutes;
+  };
+
+  const getZoneFormatter = (timeZone) => {
+    if (!Object.prototype.hasOwnProperty.call(zoneFormatters, timeZone)) {
+      try {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        });
+      } catch (e) {
+        zoneFormatters[timeZone] = null;
+      }
+    }
+    return zoneFormatters[timeZone];
+  };
+
+  const isUsableTimezone = (timeZone) => {
+    if (timeZone === null || timeZone === undefined || timeZone === '') return false;
+    return parseUtcOffset(timeZone) !== null || getZoneFormatter(timeZone) !== null;
+  };
+
+  // Returns a usable timezone: the given one, else the site timezone localized by WordPress, else Tehran
+  const resolveTimezone = (timeZone) => {
+    if (isUsableTimezone(timeZone)) return timeZone;
+    const settings = window.PersianCalendarSettings || {};
+    return isUsableTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+  };
+
+  const partsToUtcTime = (parts) => {
+    const date = new Date(0);
+    date.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+    date.setUTCHours(parts.hour || 0, parts.minute || 0, parts.second || 0, 0);
+    return date.getTime();
+  };
+
+  // Wall-clock Gregorian components of an instant in the given timezone
+  const toZonedParts = (date, timeZone) => {
+    const zone = resolveTimezone(timeZone);
+    const offset = parseUtcOffset(zone);
+    if (offset !== null) {
+      const shifted = new Date(date.getTime() + offset * 60 * 1000);
+      return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds()
+      };
+    }
+
+    const parts = {};
+    getZoneFormatter(zone).formatToParts(date).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour % 24,
+      minute: parts.minute,
+      second: parts.second
+    };
+  };
+
+  // Instant at which the given wall-clock time occurs in the timezone
+  const fromZonedParts = (parts, timeZone) => {
+    const zone = resolveTimezone(timeZone);
+    const wallTime = partsToUtcTime(parts);
+    const offset = parseUtcOffset(zone);
+    if (offset !== null) {
+      return new Date(wallTime - offset * 60 * 1000);
+    }
+
+    // Refine twice: the offset at the first guess may differ around DST transitions
+    let instant = wallTime;
+    for (let i = 0; i < 2; i++) {
+      instant = wallTime - (partsToUtcTime(toZonedParts(new Date(instant), zone)) - instant);
+    }
+    return new Date(instant);
+  };
+
+  // Names and digits
+  const PERSIAN_MONTHS = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
+  const PERSIAN_MONTHS_SHORT = ['فرو', 'ارد', 'خرد', 'تیر', 'مرد', 'شهر', 'مهر', 'آبا', 'آذر', 'دی', 'بهم', 'اسف'];
+  const PERSIAN_WEEKDAYS = ['ش', 'ی', 'د', 'س', 'چ', 'پ', 'ج'];
+  const PERSIAN_WEEKDAY_NAMES = ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه'];
+  const GREGORIAN_MONTHS = ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن', 'ژوئیه', 'اوت', 'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر'];
+  const HIJRI_MONTHS = ['محرم', 'صفر', 'ربیع‌الاول', 'ربیع‌الثانی', 'جمادی‌الاول', 'جمادی‌الثانی', 'رجب', 'شعبان', 'رمضان', 'شوال', 'ذی‌القعده', 'ذی‌الحجه'];
+  const PERSIAN_DIGITS = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
+  const LATIN_DIGITS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+  const toPersianDigits = (str) => String(str).replace(/[0-9]/g, (d) => PERSIAN_DIGITS[d]);
+  const toAsciiDigits = (str) => String(str)
+    .replace(/[۰-۹]/g, (d) => PERSIAN_DIGITS.indexOf(d).toString())
+    .replace(/[٠-٩]/g, (d) => (d.charCodeAt(0) - 0x0660).toString());
+
+  // Locale packs: month/weekday names (weekdays Saturday-first), UI labels, digit set,
+  // first day of the week (0=Sunday ... 6=Saturday) and text direction.
+  // Packs registered with registerLocale() only need the keys that differ from fa-IR.
+  const DEFAULT_LOCALE = 'fa-IR';
+  const locales = {};
+
+  locales[DEFAULT_LOCALE] = {
+    code: DEFAULT_LOCALE,
+    dir: 'rtl',
+    firstDay: 6,
+    digits: PERSIAN_DIGITS,
+    months: PERSIAN_MONTHS,
+    monthsShort: PERSIAN_MONTHS_SHORT,
+    weekdays: PERSIAN_WEEKDAY_NAMES,
+    weekdaysShort: PERSIAN_WEEKDAYS,
+    gregorianMonths: GREGORIAN_MONTHS,
+    hijriMonths: HIJRI_MONTHS,
+    ordinal: () => 'ام',
+    listSeparator: '، ',
+    // Before and after noon, for the 12-hour time picker
+    meridiem: ['ق.ظ', 'ب.ظ'],
+    labels: {
+      publish: 'انتشار',
+      now: 'اکنون',
+      time: 'زمان',
+      hour: 'ساعت',
+      minute: 'دقیقه',
+      second: 'ثانیه',
+      date: 'تاریخ',
+      close: 'بستن',
+      previousMonth: 'ماه قبل',
+      nextMonth: 'ماه بعد',
+      previousYear: 'سال قبل',
+      nextYear: 'سال بعد',
+      previousDecade: 'دهه قبل',
+      nextDecade: 'دهه بعد',
+      at: 'در',
+      changeDate: 'تغییر تاریخ',
+      noChange: '— بدون تغییر —',
+      typeDate: 'نوشتن تاریخ',
+      invalidDate: 'تاریخ نامعتبر است',
+      dateUnavailable: 'این تاریخ قابل انتخاب نیست'
+    },
+    // Phrases for relative(); units are [singular, plural]
+    relative: {
+      justNow: 'همین حالا',
+      past: '{0} پیش',
+      future: '{0} دیگر',
+      yesterday: 'دیروز',
+      tomorrow: 'فردا',
+      dayAt: '{0} ساعت {1}',
+      minute: ['دقیقه', 'دقیقه'],
+      hour: ['ساعت', 'ساعت'],
+      day: ['روز', 'روز'],
+      week: ['هفته', 'هفته'],
+      month: ['ماه', 'ماه'],
+      year: ['سال', 'سال']
+    }
+  };
+
+  // Returns the pack for a locale code: the given one, else the site locale localized by WordPress, else fa-IR
+  const getLocale = (code) => {
+    if (code && typeof code === 'object') return code;
+    if (locales[code]) return locales[code];
+    const settings = window.PersianCalendarSettings || {};
+    return locales[settings.locale] || locales[DEFAULT_LOCALE];
+  };
+
+  const registerLocale = (code, pack) => {
+    const base = locales[DEFAULT_LOCALE];
+    locales[code] = {
+      ...base,
+      ...pack,
+      code,
+      labels: { ...base.labels, ...(pack.labels || {}) },
+      relative: { ...base.relative, ...(pack.relative || {}) }
+    };
+    return locales[code];
+  };
+
+  // ASCII digits to the locale's digit set
+  const toLocaleDigits = (str, locale) => {
+    const { digits } = getLocale(locale);
+    return String(str).replace(/[0-9]/g, (d) => digits[d]);
+  };
+
+  // Dari (Afghanistan): zodiac month names
+  registerLocale('fa-AF', {
+    months: ['حمل', 'ثور', 'جوزا', 'سرطان', 'اسد', 'سنبله', 'میزان', 'عقرب', 'قوس', 'جدی', 'دلو', 'حوت'],
+    monthsShort: ['حمل', 'ثور', 'جوزا', 'سرطان', 'اسد', 'سنبله', 'میزان', 'عقرب', 'قوس', 'جدی', 'دلو', 'حوت'],
+    gregorianMonths: ['جنوری', 'فبروری', 'مارچ', 'اپریل', 'می', 'جون', 'جولای', 'اگست', 'سپتمبر', 'اکتوبر', 'نومبر', 'دسمبر'],
+    labels: { publish: 'نشر' }
+  });
+
+  // Pashto (Afghanistan)
+  registerLocale('ps-AF', {
+    months: ['وری', 'غویی', 'غبرګولی', 'چنګاښ', 'زمری', 'وږی', 'تله', 'لړم', 'لیندۍ', 'مرغومی', 'سلواغه', 'کب'],
+    monthsShort: ['وری', 'غویی', 'غبرګولی', 'چنګاښ', 'زمری', 'وږی', 'تله', 'لړم', 'لیندۍ', 'مرغومی', 'سلواغه', 'کب'],
+    gregorianMonths: ['جنوري', 'فبروري', 'مارچ', 'اپریل', 'مۍ', 'جون', 'جولای', 'اګست', 'سپتمبر', 'اکتوبر', 'نومبر', 'دسمبر'],
+    ordinal: () => 'م',
+    meridiem: ['غ.م', 'غ.و'],
+    labels: {
+      publish: 'خپرول',
+      now: 'اوس',
+      time: 'وخت',
+      hour: 'ساعت',
+      minute: 'دقیقه',
+      second: 'ثانیه',
+      date: 'نېټه',
+      close: 'بندول',
+      previousMonth: 'تېره میاشت',
+      nextMonth: 'راتلونکې میاشت',
+      previousYear: 'تېر کال',
+      nextYear: 'راتلونکی کال',
+      previousDecade: 'تېره لسیزه',
+      nextDecade: 'راتلونکې لسیزه',
+      at: 'په',
+      changeDate: 'نېټه بدلول',
+      noChange: '— بې له بدلون —',
+      typeDate: 'نېټه ولیکئ',
+      invalidDate: 'نېټه سمه نه ده',
+      dateUnavailable: 'دا نېټه نه شي ټاکل کېدای'
+    },
+    relative: {
+      justNow: 'همدا اوس',
+      past: '{0} مخکې',
+      future: '{0} وروسته',
+      yesterday: 'پرون',
+      tomorrow: 'سبا',
+      dayAt: '{0} په {1}',
+      minute: ['دقیقه', 'دقیقې'],
+      hour: ['ساعت', 'ساعته'],
+      day: ['ورځ', 'ورځې'],
+      week: ['اونۍ', 'اونۍ'],
+      month: ['میاشت', 'میاشتې'],
+      year: ['کال', 'کاله']
+    }
+  });
+
+  // English with transliterated Jalali month names ("Farvardin")
+  registerLocale('en', {
+    dir: 'ltr',
+    digits: LATIN_DIGITS,
+    months: ['Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad', 'Shahrivar', 'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand'],
+    monthsShort: ['Far', 'Ord', 'Kho', 'Tir', 'Mor', 'Sha', 'Meh', 'Aba', 'Aza', 'Dey', 'Bah', 'Esf'],
+    weekdays: ['Saturday', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    weekdaysShort: ['Sa', 'Su', 'Mo', 'Tu', 'We', 'Th', 'Fr'],
+    gregorianMonths: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    hijriMonths: ['Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Awwal', 'Jumada al-Thani', 'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'],
+    ordinal: (day) => {
+      if (day % 100 >= 11 && day % 100 <= 13) return 'th';
+      return ['th', 'st', 'nd', 'rd'][day % 10] || 'th';
+    },
+    listSeparator: ', ',
+    meridiem: ['AM', 'PM'],
+    labels: {
+      publish: 'Publish',
+      now: 'Now',
+      time: 'Time',
+      hour: 'Hour',
+      minute: 'Minute',
+      second: 'Second',
+      date: 'Date',
+      close: 'Close',
+      previousMonth: 'Previous month',
+      nextMonth: 'Next month',
+      previousYear: 'Previous year',
+      nextYear: 'Next year',
+      previousDecade: 'Previous decade',
+      nextDecade: 'Next decade',
+      at: 'at',
+      changeDate: 'Change date',
+      noChange: '— No Change —',
+      typeDate: 'Type a date',
+      invalidDate: 'Invalid date',
+      dateUnavailable: 'This date cannot be selected'
+    },
+    relative: {
+      justNow: 'just now',
+      past: '{0} ago',
+      future: 'in {0}',
+      yesterday: 'yesterday',
+      tomorrow: 'tomorrow',
+      dayAt: '{0} at {1}',
+      minute: ['minute', 'minutes'],
+      hour: ['hour', 'hours'],
+      day: ['day', 'days'],
+      week: ['week', 'weeks'],
+      month: ['month', 'months'],
+      year: ['year', 'years']
+    }
+  });
+
+  // Moment-style tokens accepted for compatibility, mapped to the PHP-style tokens used below
+  const MOMENT_TOKENS = [['YYYY', 'Y'], ['YY', 'y'], ['MMMM', 'F'], ['MM', 'm'], ['M', 'n'], ['DD', 'd'], ['D', 'j'], ['HH', 'H'], ['mm', 'i'], ['ss', 's']];
+
+  const normalizeFormat = (format) => {
+    if (!/YYYY|DD/.test(format)) return format;
+    const pattern = new RegExp(MOMENT_TOKENS.map(([token]) => token).join('|'), 'g');
+    return format.replace(pattern, (token) => MOMENT_TOKENS.find(([moment]) => moment === token)[1]);
+  };
+
+  // JavaScript weekday (Sunday=0, ..., Saturday=6) of a Gregorian date
+  const getGregorianWeekday = (gy, gm, gd) => {
+    // Use UTC to ensure consistent weekday calculation across all devices/timezones
+    const date = new Date(0);
+    date.setUTCFullYear(gy, gm - 1, gd);
+    return date.getUTCDay();
+  };
+
+  // Persian weekday index (Saturday=0, ..., Friday=6) of a Jalali date
+  const getJalaliWeekday = (jy, jm, jd) => {
+    const [gy, gm, gd] = jalaliToGregorian(jy, jm, jd);
+    // (jsDay + 1) % 7 maps Saturday to 0
+    return (getGregorianWeekday(gy, gm, gd) + 1) % 7;
+  };
+
+  // Wall-clock parts of a Date, timestamp (ms) or date string. Strings without an offset are
+  // read as wall-clock time in the timezone, like PERSCA_Date_Converter::get_tehran_datetime.
+  const toWallClockParts = (input, timeZone) => {
+    if (typeof input === 'string') {
+      const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(input.trim());
+      if (match) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((part) => (part === undefined ? undefined : parseInt(part, 10)));
+        return isValidGregorian(year, month, day) ? { year, month, day, hour, minute, second } : null;
+      }
+    }
+    const date = (input instanceof Date) ? input : new Date(input);
+    return isNaN(date.getTime()) ? null : toZonedParts(date, timeZone);
+  };
+
+  // English names for the RFC 2822 'r' token, which PHP always prints in English
+  const RFC2822_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const RFC2822_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  // Abbreviation of an IANA timezone at an instant, or null when Intl only knows it as "GMT+3:30"
+  const getZoneAbbreviation = (date, timeZone) => {
+    try {
+      const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .filter((part) => part.type === 'timeZoneName')
+        .map((part) => part.value)
+        .join('');
+      return (!name || /^(?:GMT|UTC)[+-]/.test(name)) ? null : name;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // Format tokens are the same as PERSCA_Date_Converter::format_date so JS output matches the server:
+  // Jalali date  Y y m n F M d j l D w N S z t L
+  // time         H G h g i s (24-hour; a and A print nothing)
+  // timezone     e T O P p Z (T is the offset when the browser has no abbreviation for the zone)
+  // instant      U, and c and r, which stay Gregorian as in PHP for machine-readable output
+  // Any other character, e.g. PHP's B u v I W o, is printed as is; escape literal letters with a backslash.
+  const format = (input, formatString, options = {}) => {
+    const timeZone = resolveTimezone(options.timezone);
+    const parts = toWallClockParts((input === undefined || input === null) ? new Date() : input, timeZone);
+    if (!parts) return '';
+
+    const [jy, jm, jd] = gregorianToJalali(parts.year, parts.month, parts.day);
+    const w = getGregorianWeekday(parts.year, parts.month, parts.day);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const locale = getLocale(options.locale);
+    const monthNames = options.shortMonthNames ? locale.monthsShort : locale.months;
+    const pattern = normalizeFormat(String(formatString));
+
+    // The instant and its UTC offset in minutes, worked out only when a timezone or instant token needs them
+    let zoned = null;
+    const getZoned = () => {
+      if (!zoned) {
+        const instant = fromZonedParts(parts, timeZone);
+        zoned = { instant, offset: Math.round((partsToUtcTime(parts) - instant.getTime()) / 60000) };
+      }
+      return zoned;
+    };
+    const formatOffset = (separator) => {
+      const { offset } = getZoned();
+      return `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}${separator}${pad(Math.abs(offset) % 60)}`;
+    };
+    const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    const isFixedOffset = parseUtcOffset(timeZone) !== null;
+
+    let out = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === '\\') {
+        i++;
+        out += (i < pattern.length) ? pattern[i] : '';
+        continue;
+      }
+      switch (ch) {
+        // Year
+        case 'Y': out += pad(jy, 4); break;
+        case 'y': out += pad(jy, 4).slice(-2); break;
+        // Month ('M' is the full name, as on the server, unless short names are requested)
+        case 'm': out += pad(jm); break;
+        case 'n': out += jm; break;
+        case 'F': out += locale.months[jm - 1]; break;
+        case 'M': out += monthNames[jm - 1]; break;
+        // Day
+        case 'd': out += pad(jd); break;
+        case 'j': out += jd; break;
+        // Weekday (w: 0=Sunday ... 6=Saturday)
+        case 'l': out += locale.weekdays[(w + 1) % 7]; break;
+        case 'D': out += locale.weekdaysShort[(w + 1) % 7]; break;
+        case 'w': out += w; break;
+        case 'N': out += (w === 0 ? 7 : w); break;
+        // Ordinal suffix ("ام" in Persian)
+        case 'S': out += locale.ordinal(jd); break;
+        // Day of the Jalali year (from 0), days in the Jalali month, Jalali leap year
+        case 'z': out += (jm <= 7 ? (jm - 1) * 31 : 186 + (jm - 7) * 30) + jd - 1; break;
+        case 't': out += daysInMonth(jy, jm); break;
+        case 'L': out += isLeapJalaliYear(jy) ? 1 : 0; break;
+        // Time (24-hour only, no am/pm)
+        case 'H': case 'h': out += pad(parts.hour); break;
+        case 'G': case 'g': out += parts.hour; break;
+        case 'i': out += pad(parts.minute); break;
+        case 's': out += pad(parts.second); break;
+        case 'a': case 'A': break;
+        // Timezone (fixed offsets are named by their offset, as PHP does)
+        case 'e': out += isFixedOffset ? formatOffset(':') : timeZone; break;
+        case 'T': out += (!isFixedOffset && getZoneAbbreviation(getZoned().instant, timeZone)) || formatOffset(isFixedOffset ? ':' : ''); break;
+        case 'O': out += formatOffset(''); break;
+        case 'P': out += formatOffset(':'); break;
+        case 'p': out += getZoned().offset === 0 ? 'Z' : formatOffset(':'); break;
+        case 'Z': out += getZoned().offset * 60; break;
+        // Instant
+        case 'U': out += Math.floor(getZoned().instant.getTime() / 1000); break;
+        case 'c': out += `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T${time}${formatOffset(':')}`; break;
+        case 'r': out += `${RFC2822_WEEKDAYS[w]}, ${pad(parts.day)} ${RFC2822_MONTHS[parts.month - 1]} ${pad(parts.year, 4)} ${time} ${formatOffset('')}`; break;
+        default: out += ch;
+      }
+    }
+
+    out = out.replace(/\s{2,}/g, ' ').trim();
+    // persianDigits switches to the locale's digit set, which is Latin for English
+    return options.persianDigits ? toLocaleDigits(out, locale) : out;
+  };
+
+  const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+
+  // Arabic keyboard variants of Persian letters
+  const normalizePersianLetters = (str) => String(str).replace(/ي/g, 'ی').replace(/ى/g, 'ی').replace(/ك/g, 'ک');
+
+  // Lower-cased names of the locale followed by the Persian ones, so Persian input is always understood
+  const getParseNames = (locale, key) => {
+    const list = getLocale(locale)[key].concat(locales[DEFAULT_LOCALE][key]);
+    return list.map((name) => normalizePersianLetters(name).toLowerCase());
+  };
+
+  // Parses a string written with the given format; accepts Persian, Arabic-Indic or ASCII digits.
+  // Returns { jalali, gregorian, time, date } or null when the string does not match.
+  const parse = (str, formatString, options = {}) => {
+    if (str === undefined || str === null) return null;
+
+    const input = normalizePersianLetters(toAsciiDigits(str)).trim().toLowerCase();
+    const pattern = normalizeFormat(String(formatString));
+    const monthNames = getParseNames(options.locale, 'months');
+    const monthShortNames = getParseNames(options.locale, 'monthsShort');
+    const monthAlternatives = monthNames.concat(monthShortNames)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+    const weekdayAlternatives = getParseNames(options.locale, 'weekdays').concat(getParseNames(options.locale, 'weekdaysShort'))
+      .sort((a, b) => b.length - a.length)
+      .map((name) => escapeRegExp(name).replace(/\u200c/g, '[\\u200c\\s]?'))
+      .join('|');
+
+    const groups = [];
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === '\\') {
+        i++;
+        if (i < pattern.length) source += escapeRegExp(pattern[i]);
+        continue;
+      }
+      switch (ch) {
+        case 'Y': source += '(\\d{4})'; groups.push('year'); break;
+        case 'y': source += '(\\d{2})'; groups.push('shortYear'); break;
+        case 'm': case 'n': source += '(\\d{1,2})'; groups.push('month'); break;
+        case 'F': case 'M': source += `(${monthAlternatives})`; groups.push('monthName'); break;
+        case 'd': case 'j': source += '(\\d{1,2})'; groups.push('day'); break;
+        case 'l': case 'D': source += `(?:${weekdayAlternatives})`; break;
+        case 'w': case 'N': source += '\\d'; break;
+        case 'S': source += '(?:ام|م|st|nd|rd|th)?'; break;
+        case 'H': case 'h': case 'G': case 'g': source += '(\\d{1,2})'; groups.push('hour'); break;
+        case 'i': source += '(\\d{1,2})'; groups.push('minute'); break;
+        case 's': source += '(\\d{1,2})'; groups.push('second'); break;
+        case 'a': case 'A': break;
+        default: source += /\s/.test(ch) ? '\\s*' : `\\s*${escapeRegExp(ch)}\\s*`;
+      }
+    }
+
+    const match = new RegExp(`^${source}$`).exec(input);
+    if (!match) return null;
+
+    const values = { hour: 0, minute: 0, second: 0 };
+    groups.forEach((group, index) => {
+      const value = match[index + 1];
+      if (group === 'monthName') {
+        const index = monthNames.indexOf(value) !== -1 ? monthNames.indexOf(value) : monthShortNames.indexOf(value);
+        values.month = (index % 12) + 1;
+      } else if (group === 'shortYear') {
+        const shortYear = parseInt(value, 10);
+        values.year = (shortYear < 50 ? 1400 : 1300) + shortYear;
+      } else {
+        values[group] = parseInt(value, 10);
+      }
+    });
+
+    const { year, month, day, hour, minute, second } = values;
+    if (!isValidJalali(year, month, day)) return null;
+    if (hour > 23 || minute > 59 || second > 59) return null;
+
+    const [gy, gm, gd] = jalaliToGregorian(year, month, day);
+    return {
+      jalali: { year, month, day },
+      gregorian: { year: gy, month: gm, day: gd },
+      time: { hour, minute, second },
+      date: fromZonedParts({ year: gy, month: gm, day: gd, hour, minute, second }, resolveTimezone(options.timezone))
+    };
+  };
+
+  // Layouts tried by parseInput() once every date separator is a space
+  const INPUT_FORMATS = [
+    'Y m d H:i:s', 'Y m d H:i', 'Y m d',
+    'd m Y H:i:s', 'd m Y H:i', 'd m Y',
+    'l j F Y H:i', 'l j F Y', 'j F Y H:i', 'j F Y', 'F j Y H:i', 'F j Y', 'Y F j'
+  ];
+
+  /**
+   * Parses a hand-typed or pasted Jalali date such as "۱۴۰۳/۰۵/۱۲ ۱۴:۳۰", "12 مرداد 1403"
+   * or "1403-5-12". Digits may be Persian, Arabic-Indic or ASCII; separators /, -, ., comma
+   * and spaces are interchangeable. Returns parse()'s result plus hasTime, or null.
+   */
+  const parseInput = (str, options = {}) => {
+    if (str === undefined || str === null) return null;
+
+    const text = toAsciiDigits(str)
+      .replace(/[\/\-.\\_,،]+/g, ' ')
+      .replace(/(\d)\s*:\s*(?=\d)/g, '$1:')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text === '') return null;
+
+    for (let i = 0; i < INPUT_FORMATS.length; i++) {
+      const result = parse(text, INPUT_FORMATS[i], options);
+      if (result) return { ...result, hasTime: INPUT_FORMATS[i].indexOf('H') !== -1 };
+    }
+    return null;
+  };
+
+  // Date, timestamp (ms) or date string; strings without an offset are wall-clock time in the timezone
+  const toInstant = (input, timeZone) => {
+    if (input instanceof Date) return input;
+    if (typeof input === 'string') {
+      const parts = toWallClockParts(input, timeZone);
+      return parts ? fromZonedParts(parts, timeZone) : new Date(NaN);
+    }
+    return new Date(input);
+  };
+
+  const dayNumber = (parts) => Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000);
+
+  const DEFAULT_RELATIVE_THRESHOLD = 365 * 86400;
+
+  /**
+   * Relative phrase for a date compared to now: "۵ دقیقه پیش", "فردا ساعت ۹:۰۰", "۲ ماه دیگر".
+   * Options: timezone, locale, persianDigits (default true), threshold in seconds beyond which
+   * the absolute date is returned instead (default one year) and absoluteFormat (default 'j F Y').
+   */
+  const relative = (input, now, options = {}) => {
+    const timeZone = resolveTimezone(options.timezone);
+    const locale = getLocale(options.locale);
+    const phrases = locale.relative;
+    const persianDigits = options.persianDigits !== false;
+    const threshold = (typeof options.threshold === 'number') ? options.threshold : DEFAULT_RELATIVE_THRESHOLD;
+
+    const date = toInstant(input, timeZone);
+    const reference = (now === undefined || now === null) ? new Date() : toInstant(now, timeZone);
+    if (isNaN(date.getTime()) || isNaN(reference.getTime())) return '';
+
+    const diff = (date.getTime() - reference.getTime()) / 1000;
+    const seconds = Math.abs(diff);
+    const localize = (text) => (persianDigits ? toLocaleDigits(text, locale) : text);
+    const phrase = (count, unit) => localize((diff < 0 ? phrases.past : phrases.future)
+      .replace('{0}', `${count} ${phrases[unit][count === 1 ? 0 : 1]}`));
+
+    if (seconds >= threshold) {
+      return format(date, options.absoluteFormat || 'j F Y', { persianDigits, timezone: timeZone, locale });
+    }
+    if (seconds < 45) return phrases.justNow;
+    if (seconds < 3600) return phrase(Math.max(1, Math.floor(seconds / 60)), 'minute');
+
+    // Calendar days in the timezone, so 23:00 to 08:00 the next morning is "tomorrow"
+    const dateParts = toZonedParts(date, timeZone);
+    const referenceParts = toZonedParts(reference, timeZone);
+    const dayDiff = dayNumber(dateParts) - dayNumber(referenceParts);
+
+    if (dayDiff === 0) return phrase(Math.floor(seconds / 3600), 'hour');
+    if (Math.abs(dayDiff) === 1) {
+      const day = dayDiff < 0 ? phrases.yesterday : phrases.tomorrow;
+      return localize(phrases.dayAt.replace('{0}', day).replace('{1}', format(date, 'G:i', { timezone: timeZone })));
+    }
+
+    const days = Math.abs(dayDiff);
+    if (days < 7) return phrase(days, 'day');
+
+    // Whole Jalali months between the earlier and the later day
+    const [earlier, later] = [dateParts, referenceParts].sort((a, b) => dayNumber(a) - dayNumber(b))
+      .map((parts) => gregorianToJalali(parts.year, parts.month, parts.day));
+    const months = (later[0] - earlier[0]) * 12 + (later[1] - earlier[1]) - (later[2] < earlier[2] ? 1 : 0);
+
+    if (months < 1) return phrase(Math.floor(days / 7), 'week');
+    if (months < 12) return phrase(months, 'month');
+    return phrase(Math.floor(months / 12), 'year');
+  };
+
+  window.PersianDateConverter = {
+    gregorianToJalali,
+    jalaliToGregorian,
+    isValidGregorian,
+    isValidJalali,
+    isLeapJalaliYear,
+    daysInMonth,
+    gregorianToHijri,
+    hijriToGregorian,
+    isValidHijri,
+    hijriDaysInMonth,
+    getJalaliWeekday,
+    toZonedParts,
+    fromZonedParts,
+    resolveTimezone,
+    format,
+    parse,
+    parseInput,
+    relative,
+    toPersianDigits,
+    toAsciiDigits,
+    toLocaleDigits,
+    getLocale,
+    registerLocale,
+    names: {
+      months: PERSIAN_MONTHS,
+      monthsShort: PERSIAN_MONTHS_SHORT,
+      weekdays: PERSIAN_WEEKDAY_NAMES,
+      weekdaysShort: PERSIAN_WEEKDAYS,
+      gregorianMonths: GREGORIAN_MONTHS,
+      hijriMonths: HIJRI_MONTHS
+    }
+  };
+})();
@@ -161,6 +161,13 @@ final class PERSCA_Admin
 
         $out = [];
         foreach ($defaults as $key => $def) {
+            // Calendar locale must be one of the shipped locale packs
+            if ('calendar_locale' === $key) {
+                $value = isset($input[$key]) ? sanitize_text_field(wp_unslash($input[$key])) : '';
+                $out[$key] = array_key_exists($value, self::get_calendar_locales()) ? $value : $def;
+                continue;
+            }
+
             // Sanitize and validate each option
             $value = isset($input[$key]) ? sanitize_key($input[$key]) : '';
             $out[$key] = ! empty($value) ? (bool) $value : false;
@@ -183,6 +190,26 @@ final class PERSCA_Admin
             'enable_dashboard_font' => true,
             'enable_gutenberg_calendar' => true,
             'enable_classic_editor' => false,
+            'calendar_locale' => 'fa-IR',
+        ];
+    }
+
+    /**
+     * Get the locale packs available to the calendar scripts.
+     *
+     * Keys match the packs registered in assets/js/persian-date-converter.js.
+     *
+     * @since 1.3.0
+     *
+     * @return array Locale code => label.
+     */
+    public static function get_calendar_locales(): array
+    {
+        return [
+            'fa-IR' => __('Persian (Iran)', 'persian-calendar'),
+            'fa-AF' => __('Dari (Afghanistan)', 'persian-calendar'),
+            'ps-AF' => __('Pashto (Afghanistan)', 'persian-calendar'),
+            'en'    => __('English (transliterated month names)', 'persian-calendar'),
         ];
     }
 
@@ -262,6 +289,40 @@ final class PERSCA_Admin
         echo '</div>';
     }
 
+    /**
+     * Render a select field in the same row layout as the toggles.
+     *
+     * @since 1.3.0
+     *
+     * @param array $args Field args: option key, label, description, icon and choices.
+     */
+    public function select_field(array $args): void
+    {
+        if (! current_user_can('manage_options')) {
+            return;
+        }
+
+        $opts = get_option(self::OPTIONS_KEY, self::get_default_settings());
+        $opts = wp_parse_args($opts, self::get_default_settings());
+        $key  = $args['option'];
+        $current = isset($opts[$key]) ? $opts[$key] : '';
+
+        echo '<div class="persian-calendar-settings-row">';
+        echo '<div class="persian-calendar-settings-icon"><span class="dashicons ' . esc_attr($args['icon']) . '"></span></div>';
+        echo '<div class="persian-calendar-settings-content">';
+        echo '<label class="persian-calendar-settings-title" for="' . esc_attr($key) . '">' . esc_html($args['label']) . '</label>';
+        echo '<p class="persian-calendar-settings-description">' . esc_html($args['desc']) . '</p>';
+        echo '</div>';
+        echo '<div class="persian-calendar-settings-control">';
+        printf('<select id="%1$s" name="' . esc_attr(self::OPTIONS_KEY) . '[%1$s]">', esc_attr($key));
+        foreach ($args['choices'] as $value => $label) {
+            printf('<option value="%1$s" %2$s>%3$s</option>', esc_attr($value), selected($current, $value, false), esc_html($label));
+        }
+        echo '</select>';
+        echo '</div>';
+        echo '</div>';
+    }
+
     /**
      * Render settings fields manually.
      *
@@ -318,6 +379,14 @@ final class PERSCA_Admin
 
             $this->checkbox_field($field_args);
         }
+
+        $this->select_field([
+            'option'  => 'calendar_locale',
+            'label'   => __('Calendar Language', 'persian-calendar'),
+            'desc'    => __('Month and weekday names, labels and digits used by the date pickers.', 'persian-calendar'),
+            'icon'    => 'dashicons-translation',
+            'choices' => self::get_calendar_locales(),
+        ]);
     }
 
     /**
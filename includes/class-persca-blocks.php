@@ -0,0 +1,315 @@
+<?php
+
+/**
+ * Persian Calendar Blocks
+ *
+ * Registers the plugin's dynamic blocks and renders them on the server
+ * with PERSCA_Date_Converter, so the front end matches the PHP date filters.
+ *
+ * @package PersianCalendar
+ * @since 1.3.0
+ */
+
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+class PERSCA_Blocks
+{
+    /**
+     * First Jalali year served by the archive calendar.
+     *
+     * @var int
+     */
+    const ARCHIVE_MIN_YEAR = 1300;
+
+    /**
+     * Last Jalali year served by the archive calendar.
+     *
+     * @var int
+     */
+    const ARCHIVE_MAX_YEAR = 1500;
+
+    /**
+     * Date converter instance for Jalali calendar operations.
+     *
+     * @var PERSCA_Date_Converter
+     */
+    private $date;
+
+    /**
+     * Constructor - Initialize blocks with date converter.
+     *
+     * @param PERSCA_Date_Converter $date_converter Instance of date converter class.
+     */
+    public function __construct(PERSCA_Date_Converter $date_converter)
+    {
+        $this->date = $date_converter;
+    }
+
+    /**
+     * Hook block registration.
+     *
+     * Runs after PERSCA_Plugin::register_assets so the editor script
+     * dependencies are already registered.
+     */
+    public function init(): void
+    {
+        add_action('init', [$this, 'register_blocks'], 20);
+        add_action('rest_api_init', [$this, 'register_rest_routes']);
+    }
+
+    /**
+     * Register block editor scripts and block types.
+     */
+    public function register_blocks(): void
+    {
+        wp_register_script(
+            'persian-calendar-jalali-date-block',
+            PERSCA_PLUGIN_URL . 'assets/js/block-jalali-date.js',
+            array('wp-blocks', 'wp-element', 'wp-components', 'wp-block-editor', 'wp-core-data', 'wp-data', 'wp-i18n', 'wp-server-side-render', 'persian-calendar-components'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+        wp_set_script_translations('persian-calendar-jalali-date-block', 'persian-calendar', PERSCA_PLUGIN_DIR . 'languages');
+
+        register_block_type(PERSCA_PLUGIN_DIR . 'assets/blocks/jalali-date', [
+            'render_callback' => [$this, 'render_jalali_date_block'],
+        ]);
+
+        // Archive calendar: read-only PersianCalendar on the front end, month data over REST
+        wp_register_script(
+            'persian-calendar-archive-calendar',
+            PERSCA_PLUGIN_URL . 'assets/js/archive-calendar.js',
+            array('persian-calendar-main'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+        wp_register_script(
+            'persian-calendar-archive-calendar-block',
+            PERSCA_PLUGIN_URL . 'assets/js/block-archive-calendar.js',
+            array('wp-blocks', 'wp-element', 'wp-components', 'wp-block-editor', 'wp-core-data', 'wp-data', 'wp-i18n', 'persian-calendar-main'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+        wp_set_script_translations('persian-calendar-archive-calendar-block', 'persian-calendar', PERSCA_PLUGIN_DIR . 'languages');
+
+        register_block_type(PERSCA_PLUGIN_DIR . 'assets/blocks/archive-calendar', [
+            'render_callback' => [$this, 'render_archive_calendar_block'],
+        ]);
+    }
+
+    /**
+     * Register the REST route the archive calendar loads months from.
+     *
+     * GET persian-calendar/v1/archive/<jalali-year>/<jalali-month>?post_type=post
+     */
+    public function register_rest_routes(): void
+    {
+        register_rest_route('persian-calendar/v1', '/archive/(?P<year>\d{4})/(?P<month>\d{1,2})', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'rest_get_archive_month'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'post_type' => [
+                    'type'              => 'string',
+                    'default'           => 'post',
+                    'validate_callback' => [$this, 'is_archive_post_type'],
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * REST callback: published posts per day of a Jalali month.
+     *
+     * @param WP_REST_Request $request Request with year, month and post_type.
+     * @return WP_REST_Response|WP_Error Days keyed by Jalali day, each with 'count' and 'url'.
+     */
+    public function rest_get_archive_month($request)
+    {
+        $jy = (int) $request['year'];
+        $jm = (int) $request['month'];
+        if ($jy < self::ARCHIVE_MIN_YEAR || $jy > self::ARCHIVE_MAX_YEAR || $jm < 1 || $jm > 12) {
+            return new WP_Error('persca_invalid_month', __('Invalid Jalali month.', 'persian-calendar'), ['status' => 400]);
+        }
+
+        return rest_ensure_response([
+            'year'  => $jy,
+            'month' => $jm,
+            'days'  => (object) $this->get_archive_days($request['post_type'], $jy, $jm),
+        ]);
+    }
+
+    /**
+     * Whether a post type can be listed in the archive calendar.
+     *
+     * @param mixed $post_type Post type name.
+     * @return bool True for existing, publicly viewable post types.
+     */
+    public function is_archive_post_type($post_type): bool
+    {
+        return is_string($post_type) && post_type_exists($post_type) && is_post_type_viewable($post_type);
+    }
+
+    /**
+     * Render the Jalali Archive Calendar block.
+     *
+     * Prints the current Jalali month's data so the calendar shows
+     * without a request; archive-calendar.js builds the grid from it
+     * and keeps navigation within the years the REST route serves.
+     *
+     * @param array $attributes Block attributes.
+     * @return string Block HTML.
+     */
+    public function render_archive_calendar_block($attributes): string
+    {
+        $post_type = (isset($attributes['postType']) && $this->is_archive_post_type($attributes['postType'])) ? $attributes['postType'] : 'post';
+
+        $now = current_datetime();
+        $today = $this->date->gregorian_to_jalali((int) $now->format('Y'), (int) $now->format('n'), (int) $now->format('j'));
+
+        $wrapper_attributes = get_block_wrapper_attributes([
+            'data-post-type' => $post_type,
+            'data-year'      => $today['y'],
+            'data-month'     => $today['m'],
+            'data-min-year'  => self::ARCHIVE_MIN_YEAR,
+            'data-max-year'  => self::ARCHIVE_MAX_YEAR,
+            'data-days'      => wp_json_encode((object) $this->get_archive_days($post_type, $today['y'], $today['m'])),
+            'data-rest-url'  => rest_url('persian-calendar/v1/archive/'),
+        ]);
+
+        return sprintf('<div %s><div class="persian-calendar-container"></div></div>', $wrapper_attributes);
+    }
+
+    /**
+     * Published posts per day of a Jalali month, linked to their day archives.
+     *
+     * Links go through get_day_link() so Jalali permalink filters apply.
+     *
+     * @param string $post_type Post type.
+     * @param int    $jy        Jalali year.
+     * @param int    $jm        Jalali month (1-12).
+     * @return array Map of Jalali day to ['count' => int, 'url' => string].
+     */
+    private function get_archive_days(string $post_type, int $jy, int $jm): array
+    {
+        global $wpdb;
+
+        // Keyed on the posts last-changed time, so publishing a post refreshes the calendar
+        $cache_key = sprintf('persca_archive_days_%s_%d_%d:%s', $post_type, $jy, $jm, wp_cache_get_last_changed('posts'));
+        $cached = wp_cache_get($cache_key, 'persca');
+        if ($cached !== false) {
+            return $cached;
+        }
+
+        $first_day = $this->date->jalali_to_gregorian($jy, $jm, 1);
+        $last_day = $this->date->jalali_to_gregorian($jy, $jm, $this->date->get_jalali_month_days($jy, $jm));
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery -- Custom query required for per-day counts.
+        $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT DATE(post_date) AS post_day, COUNT(*) AS post_count
+            FROM $wpdb->posts
+            WHERE post_type = %s
+            AND post_status = 'publish'
+            AND post_date BETWEEN %s AND %s
+            GROUP BY DATE(post_date)
+        ", $post_type,
+            sprintf('%04d-%02d-%02d 00:00:00', $first_day['y'], $first_day['m'], $first_day['d']),
+            sprintf('%04d-%02d-%02d 23:59:59', $last_day['y'], $last_day['m'], $last_day['d'])
+        ));
+
+        $days = [];
+        foreach ($rows as $row) {
+            $date_parts = explode('-', $row->post_day);
+            $gy = (int) $date_parts[0];
+            $gm = (int) $date_parts[1];
+            $gd = (int) $date_parts[2];
+            $jalali = $this->date->gregorian_to_jalali($gy, $gm, $gd);
+
+            $url = get_day_link($gy, $gm, $gd);
+            if ($post_type !== 'post') {
+                $url = add_query_arg('post_type', $post_type, $url);
+            }
+
+            $days[$jalali['d']] = [
+                'count' => (int) $row->post_count,
+                'url'   => $url,
+            ];
+        }
+
+        wp_cache_set($cache_key, $days, 'persca', HOUR_IN_SECONDS);
+
+        return $days;
+    }
+
+    /**
+     * Render the Jalali Date block.
+     *
+     * @param array    $attributes Block attributes.
+     * @param string   $content    Block content (unused, the block is dynamic).
+     * @param WP_Block $block      Block instance, for the postId context inside Query Loop.
+     * @return string Block HTML, or an empty string when there is no date to show.
+     */
+    public function render_jalali_date_block($attributes, $content, $block): string
+    {
+        $datetime = $this->get_block_datetime($attributes, $block);
+        if (! $datetime) {
+            return '';
+        }
+
+        $persian_digits = ! empty($attributes['persianDigits']);
+        // Site timezone, the one the editor preview and date pickers use
+        $timezone = wp_timezone();
+
+        if (! empty($attributes['relative'])) {
+            $text = $this->date->format_relative($datetime->getTimestamp(), time(), $timezone, $persian_digits);
+        } else {
+            $format = (isset($attributes['format']) && $attributes['format'] !== '') ? $attributes['format'] : 'j F Y';
+            $text = $this->date->format_date($format, $datetime->getTimestamp(), $persian_digits, $timezone);
+        }
+
+        $output = sprintf(
+            '<time datetime="%1$s">%2$s</time>',
+            esc_attr($datetime->format(DATE_W3C)),
+            esc_html($text)
+        );
+
+        if (! empty($attributes['isLink'])) {
+            $output = sprintf(
+                '<a href="%1$s">%2$s</a>',
+                esc_url(get_day_link((int) $datetime->format('Y'), (int) $datetime->format('n'), (int) $datetime->format('j'))),
+                $output
+            );
+        }
+
+        return sprintf('<div %1$s>%2$s</div>', get_block_wrapper_attributes(), $output);
+    }
+
+    /**
+     * Resolve the date a Jalali Date block shows.
+     *
+     * @param array    $attributes Block attributes.
+     * @param WP_Block $block      Block instance.
+     * @return DateTimeImmutable|false Date in the site timezone, or false if unavailable.
+     */
+    private function get_block_datetime($attributes, $block)
+    {
+        $source = isset($attributes['source']) ? $attributes['source'] : 'publish';
+
+        if ($source === 'custom') {
+            if (empty($attributes['customDate'])) {
+                return false;
+            }
+            return date_create_immutable($attributes['customDate'], wp_timezone());
+        }
+
+        $post_id = isset($block->context['postId']) ? (int) $block->context['postId'] : get_the_ID();
+        $post = get_post($post_id);
+        if (! $post) {
+            return false;
+        }
+
+        return get_post_datetime($post, $source === 'modified' ? 'modified' : 'date');
+    }
+}
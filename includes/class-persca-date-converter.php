@@ -102,8 +102,8 @@ class PERSCA_Date_Converter
      * Always use these functions instead of creating DateTime objects directly.
      * 
      * - get_tehran_tz()        : Get cached Tehran timezone instance
-     * - get_tehran_datetime()  : Create DateTime in Tehran timezone
-     * - format_date()          : Format date to Jalali with Tehran timezone
+     * - get_tehran_datetime()  : Create DateTime in Tehran timezone (or a given one)
+     * - format_date()          : Format date to Jalali with Tehran timezone (or a given one)
      * ========================================================================= */
 
     /**
@@ -168,11 +168,14 @@ class PERSCA_Date_Converter
      *                     - string   : Date string (interpreted as Tehran time if no TZ info).
      *                     - DateTime : Will be cloned and converted to Tehran time.
      *                     Default null.
-     * @return \DateTime DateTime object in Tehran timezone.
+     * @param \DateTimeZone|null $timezone Optional. Timezone to use instead of Tehran, such as
+     *                                     wp_timezone() where the output must match the
+     *                                     calendar scripts. Default null.
+     * @return \DateTime DateTime object in Tehran timezone, or in $timezone when given.
      */
-    public function get_tehran_datetime($input = null): \DateTime
+    public function get_tehran_datetime($input = null, ?\DateTimeZone $timezone = null): \DateTime
     {
-        $tz = self::get_tehran_tz();
+        $tz = $timezone ?: self::get_tehran_tz();
 
         if ($input === null) {
             // Current time in Tehran
@@ -215,6 +218,13 @@ class PERSCA_Date_Converter
      * It converts the input to Tehran timezone, then formats using Persian
      * month names and weekday names.
      * 
+     * Supported tokens, shared with PersianDateConverter.format() in JS:
+     * - Jalali date: Y y m n F M d j l D w N S z t L
+     * - Time: H G h g i s (24-hour; a and A print nothing)
+     * - Timezone: e T O P p Z
+     * - Instant: U, c and r (c and r stay Gregorian for machine-readable output)
+     * Any other character, e.g. B u v I W o, is printed as is.
+     * 
      * @since 1.2.3
      * 
      * @param string $format         PHP date format string.
@@ -222,11 +232,13 @@ class PERSCA_Date_Converter
      *                               Default null (current time).
      * @param bool   $persian_digits Optional. Whether to convert output to Persian digits.
      *                               Default false.
+     * @param \DateTimeZone|null $timezone Optional. Timezone to show the date in instead of
+     *                                     Tehran (see get_tehran_datetime). Default null.
      * @return string Formatted Jalali date string.
      */
-    public function format_date(string $format, $input = null, bool $persian_digits = false): string
+    public function format_date(string $format, $input = null, bool $persian_digits = false, ?\DateTimeZone $timezone = null): string
     {
-        $dt = $this->get_tehran_datetime($input);
+        $dt = $this->get_tehran_datetime($input, $timezone);
 
         // Get Gregorian components from DateTime (already in Tehran time)
         $gy = (int) $dt->format('Y');
@@ -295,6 +307,16 @@ class PERSCA_Date_Converter
                 case 'S':
                     $out .= 'ام';
                     break;
+                // Day of the Jalali year (from 0), days in the Jalali month, Jalali leap year
+                case 'z':
+                    $out .= (string) ((($jm <= 7) ? ($jm - 1) * 31 : 186 + ($jm - 7) * 30) + $jd - 1);
+                    break;
+                case 't':
+                    $out .= (string) $this->get_jalali_month_days($jy, $jm);
+                    break;
+                case 'L':
+                    $out .= $this->is_leap_jalali_year($jy) ? '1' : '0';
+                    break;
                 // Time - directly from DateTime (Tehran time)
                 case 'H':
                 case 'G':
@@ -311,10 +333,25 @@ class PERSCA_Date_Converter
                 case 'a':
                 case 'A':
                     break; // no am/pm
-                // Others
-                default:
+                // Timezone and instant - directly from DateTime
+                case 'e':
+                case 'T':
+                case 'O':
+                case 'P':
+                case 'Z':
+                case 'U':
+                case 'c':
+                case 'r':
                     $out .= $dt->format($ch);
                     break;
+                // 'p' needs PHP 8.0
+                case 'p':
+                    $out .= ($dt->getOffset() === 0) ? 'Z' : $dt->format('P');
+                    break;
+                // Others - printed as is, like in JS
+                default:
+                    $out .= $ch;
+                    break;
             }
         }
 
@@ -369,8 +406,7 @@ class PERSCA_Date_Converter
      */
     public function jalali_to_gregorian(int $jy, int $jm, int $jd): array
     {
-        $jy += 1595;
-        $days = -355668 + (365 * $jy) + intdiv($jy, 33) * 8 + intdiv(($jy % 33) + 3, 4) + $jd + (($jm < 7) ? ($jm - 1) * 31 : (($jm - 7) * 30) + 186);
+        $days = $this->jalali_day_number($jy, $jm, $jd);
         $gy = 400 * intdiv($days, 146097);
         $days %= 146097;
         if ($days > 36524) {
@@ -394,6 +430,168 @@ class PERSCA_Date_Converter
         return ['y' => $gy, 'm' => $gm, 'd' => $gd];
     }
 
+    /**
+     * Check whether a Jalali year is a leap year.
+     *
+     * Derived from the same day arithmetic as jalali_to_gregorian() so the
+     * month length always matches the conversion.
+     *
+     * @since 1.3.0
+     *
+     * @param int $jy Jalali year (1-3000).
+     * @return bool True when Esfand has 30 days.
+     */
+    public function is_leap_jalali_year(int $jy): bool
+    {
+        if ($jy < 1 || $jy > 3000) {
+            return false;
+        }
+        return $this->jalali_day_number($jy + 1, 1, 1) - $this->jalali_day_number($jy, 1, 1) === 366;
+    }
+
+    /**
+     * Get number of days in a Jalali month.
+     *
+     * @since 1.3.0
+     *
+     * @param int $jy Jalali year (1-3000).
+     * @param int $jm Jalali month (1-12).
+     * @return int Number of days in the month (29-31), or 0 when out of range.
+     */
+    public function get_jalali_month_days(int $jy, int $jm): int
+    {
+        if ($jy < 1 || $jy > 3000 || $jm < 1 || $jm > 12) {
+            return 0;
+        }
+        if ($jm <= 6) {
+            return 31;
+        }
+        if ($jm <= 11) {
+            return 30;
+        }
+        return $this->is_leap_jalali_year($jy) ? 30 : 29;
+    }
+
+    /**
+     * Relative phrase for a date compared to another: "3 days ago", "yesterday at 9:00".
+     *
+     * Same rules as PersianDateConverter.relative() in persian-date-converter.js:
+     * hours within the same calendar day, yesterday/tomorrow with the time, then
+     * days, weeks, and whole Jalali months and years.
+     *
+     * @since 1.3.0
+     *
+     * @param int           $timestamp      Unix timestamp of the date.
+     * @param int           $now            Unix timestamp to compare against.
+     * @param \DateTimeZone $timezone       Timezone the calendar days are counted in.
+     * @param bool          $persian_digits Optional. Whether to convert output to Persian digits.
+     *                                      Default false.
+     * @return string Relative time phrase.
+     */
+    public function format_relative(int $timestamp, int $now, \DateTimeZone $timezone, bool $persian_digits = false): string
+    {
+        $seconds = abs($timestamp - $now);
+        $is_past = $timestamp < $now;
+
+        if ($seconds < 45) {
+            $text = __('just now', 'persian-calendar');
+        } elseif ($seconds < HOUR_IN_SECONDS) {
+            $minutes = max(1, intdiv($seconds, MINUTE_IN_SECONDS));
+            /* translators: %d: Number of minutes. */
+            $text = $this->relative_phrase(sprintf(_n('%d minute', '%d minutes', $minutes, 'persian-calendar'), $minutes), $is_past);
+        } else {
+            $text = $this->relative_days($timestamp, $now, $timezone, $seconds, $is_past);
+        }
+
+        return $persian_digits ? $this->to_persian_digits($text) : $text;
+    }
+
+    /**
+     * Relative phrase for dates an hour or more apart, counted in calendar days.
+     *
+     * @since 1.3.0
+     *
+     * @param int           $timestamp Unix timestamp of the date.
+     * @param int           $now       Unix timestamp to compare against.
+     * @param \DateTimeZone $timezone  Timezone the calendar days are counted in.
+     * @param int           $seconds   Absolute difference in seconds.
+     * @param bool          $is_past   Whether the date is before $now.
+     * @return string Relative time phrase with ASCII digits.
+     */
+    private function relative_days(int $timestamp, int $now, \DateTimeZone $timezone, int $seconds, bool $is_past): string
+    {
+        $date = $this->get_tehran_datetime($timestamp, $timezone);
+        $reference = $this->get_tehran_datetime($now, $timezone);
+        $date_j = $this->gregorian_to_jalali((int) $date->format('Y'), (int) $date->format('n'), (int) $date->format('j'));
+        $reference_j = $this->gregorian_to_jalali((int) $reference->format('Y'), (int) $reference->format('n'), (int) $reference->format('j'));
+        $days = abs($this->jalali_day_number($date_j['y'], $date_j['m'], $date_j['d']) - $this->jalali_day_number($reference_j['y'], $reference_j['m'], $reference_j['d']));
+
+        if ($days === 0) {
+            $hours = intdiv($seconds, HOUR_IN_SECONDS);
+            /* translators: %d: Number of hours. */
+            return $this->relative_phrase(sprintf(_n('%d hour', '%d hours', $hours, 'persian-calendar'), $hours), $is_past);
+        }
+        if ($days === 1) {
+            return $is_past
+                /* translators: %s: Time, e.g. 9:30. */
+                ? sprintf(__('yesterday at %s', 'persian-calendar'), $date->format('G:i'))
+                /* translators: %s: Time, e.g. 9:30. */
+                : sprintf(__('tomorrow at %s', 'persian-calendar'), $date->format('G:i'));
+        }
+        if ($days < 7) {
+            /* translators: %d: Number of days. */
+            return $this->relative_phrase(sprintf(_n('%d day', '%d days', $days, 'persian-calendar'), $days), $is_past);
+        }
+
+        // Whole Jalali months between the earlier and the later day
+        list($earlier, $later) = $is_past ? [$date_j, $reference_j] : [$reference_j, $date_j];
+        $months = ($later['y'] - $earlier['y']) * 12 + ($later['m'] - $earlier['m']) - ($later['d'] < $earlier['d'] ? 1 : 0);
+
+        if ($months < 1) {
+            $weeks = intdiv($days, 7);
+            /* translators: %d: Number of weeks. */
+            return $this->relative_phrase(sprintf(_n('%d week', '%d weeks', $weeks, 'persian-calendar'), $weeks), $is_past);
+        }
+        if ($months < 12) {
+            /* translators: %d: Number of months. */
+            return $this->relative_phrase(sprintf(_n('%d month', '%d months', $months, 'persian-calendar'), $months), $is_past);
+        }
+        $years = intdiv($months, 12);
+        /* translators: %d: Number of years. */
+        return $this->relative_phrase(sprintf(_n('%d year', '%d years', $years, 'persian-calendar'), $years), $is_past);
+    }
+
+    /**
+     * Wrap a time span in its past or future phrase.
+     *
+     * @since 1.3.0
+     *
+     * @param string $span    Time span such as "3 days".
+     * @param bool   $is_past Whether the date is before now.
+     * @return string "3 days ago" or "in 3 days".
+     */
+    private function relative_phrase(string $span, bool $is_past): string
+    {
+        /* translators: %s: Time span, e.g. "3 days". */
+        return sprintf($is_past ? __('%s ago', 'persian-calendar') : __('in %s', 'persian-calendar'), $span);
+    }
+
+    /**
+     * Day number of a Jalali date on the scale used by jalali_to_gregorian().
+     *
+     * @since 1.3.0
+     *
+     * @param int $jy Jalali year.
+     * @param int $jm Jalali month (1-12).
+     * @param int $jd Jalali day (1-31).
+     * @return int Day number.
+     */
+    private function jalali_day_number(int $jy, int $jm, int $jd): int
+    {
+        $jy += 1595;
+        return -355668 + (365 * $jy) + intdiv($jy, 33) * 8 + intdiv(($jy % 33) + 3, 4) + $jd + (($jm < 7) ? ($jm - 1) * 31 : (($jm - 7) * 30) + 186);
+    }
+
     /**
      * Convert ASCII digits (0-9) to Persian/Farsi digits (۰-۹).
      * 
@@ -0,0 +1,97 @@
+<?php
+
+/**
+ * Persian Calendar Easy Digital Downloads integration
+ *
+ * Loads edd-compatibility.js on EDD admin pages, which shows EDD's dates
+ * in Jalali with PersianDateConverter.
+ *
+ * @package PersianCalendar
+ * @since 1.3.0
+ */
+
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+class PERSCA_EDD
+{
+    /**
+     * Plugin settings array.
+     *
+     * @var array
+     */
+    private $settings;
+
+    /**
+     * Constructor - Initialize the integration with the plugin settings.
+     *
+     * @param array $settings Plugin settings, merged with the defaults.
+     */
+    public function __construct(array $settings)
+    {
+        $this->settings = $settings;
+    }
+
+    /**
+     * Hook the EDD scripts when EDD is active and Jalali dates are on.
+     */
+    public function init(): void
+    {
+        if (! $this->is_edd_active() || empty($this->settings['enable_jalali'])) {
+            return;
+        }
+
+        add_action('admin_enqueue_scripts', [$this, 'enqueue_scripts']);
+    }
+
+    /**
+     * Check if Easy Digital Downloads is active.
+     *
+     * @return bool True if EDD is loaded.
+     */
+    private function is_edd_active(): bool
+    {
+        return class_exists('Easy_Digital_Downloads') || function_exists('EDD');
+    }
+
+    /**
+     * Check if the current admin screen belongs to EDD.
+     *
+     * @return bool True on EDD admin pages.
+     */
+    private function is_edd_admin_page(): bool
+    {
+        $screen = get_current_screen();
+        if (! $screen) {
+            return false;
+        }
+
+        return strpos($screen->id, 'edd-') !== false || $screen->post_type === 'download';
+    }
+
+    /**
+     * Enqueue edd-compatibility.js and its settings on EDD admin pages.
+     */
+    public function enqueue_scripts(): void
+    {
+        if (! $this->is_edd_admin_page()) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'persian-calendar-edd',
+            PERSCA_PLUGIN_URL . 'assets/js/edd-compatibility.js',
+            array('jquery', 'persian-calendar-converter', 'persian-calendar-main'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+
+        wp_localize_script('persian-calendar-edd', 'PersianCalendarEDD', [
+            'enablePersianDigits' => ! empty($this->settings['enable_persian_digits']),
+            'dateFormat'          => 'Y/m/d',
+        ]);
+
+        wp_enqueue_style('persian-calendar-gutenberg-styles');
+    }
+}
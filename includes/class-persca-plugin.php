@@ -53,6 +53,9 @@ class PERSCA_Plugin
         $saved_settings = get_option(PERSCA_Admin::OPTIONS_KEY, array());
         $this->settings = wp_parse_args($saved_settings, PERSCA_Admin::get_default_settings());
 
+        // Shared scripts (date converter, calendar) other scripts and plugins can depend on
+        add_action('init', [$this, 'register_assets']);
+
         // Use classic editor if enabled
         if ($this->is_setting_enabled('enable_classic_editor')) {
             $this->disable_gutenberg_editor();
@@ -101,6 +104,13 @@ class PERSCA_Plugin
             // Media Grid View AJAX filter
             add_filter('ajax_query_attachments_args', [$this, 'filter_ajax_attachments_by_jalali_month']);
 
+            // Media modal: attachment dates and month filter labels
+            add_action('wp_enqueue_media', [$this, 'enqueue_media_assets']);
+
+            // Bulk Edit date picked on the Jalali calendar, and fresh month lists after dates change
+            add_action('bulk_edit_posts', [$this, 'bulk_edit_jalali_date'], 10, 2);
+            add_action('clean_post_cache', [$this, 'flush_jalali_months_cache'], 10, 2);
+
             // Gutenberg calendar (depends on Jalali being enabled)
             if ($this->is_setting_enabled('enable_gutenberg_calendar') && ! $this->is_setting_enabled('enable_classic_editor')) {
                 add_action('enqueue_block_editor_assets', [$this, 'enqueue_gutenberg_calendar_assets']);
@@ -514,7 +524,7 @@ class PERSCA_Plugin
 
         // Get first and last day of Jalali month in Gregorian
         $first_day = $this->date->jalali_to_gregorian($jy, $jm, 1);
-        $days_in_month = $this->get_jalali_month_days($jy, $jm);
+        $days_in_month = $this->date->get_jalali_month_days($jy, $jm);
         $last_day = $this->date->jalali_to_gregorian($jy, $jm, $days_in_month);
 
         // Remove year/monthnum to prevent WordPress from filtering by them
@@ -568,7 +578,7 @@ class PERSCA_Plugin
         $first_day = $this->date->jalali_to_gregorian($jy, $jm, 1);
 
         // Get number of days in this Jalali month
-        $days_in_month = $this->get_jalali_month_days($jy, $jm);
+        $days_in_month = $this->date->get_jalali_month_days($jy, $jm);
         $last_day = $this->date->jalali_to_gregorian($jy, $jm, $days_in_month);
 
         $start_date = sprintf('%04d-%02d-%02d 00:00:00', $first_day['y'], $first_day['m'], $first_day['d']);
@@ -586,33 +596,6 @@ class PERSCA_Plugin
         $query->set('m', 0);
     }
 
-    /**
-     * Get number of days in a Jalali month.
-     *
-     * @since 1.2.4
-     *
-     * @param int $jy Jalali year.
-     * @param int $jm Jalali month (1-12).
-     * @return int Number of days in the month (29-31).
-     */
-    private function get_jalali_month_days($jy, $jm)
-    {
-        // Months 1-6 have 31 days
-        if ($jm <= 6) {
-            return 31;
-        }
-
-        // Months 7-11 have 30 days
-        if ($jm <= 11) {
-            return 30;
-        }
-
-        // Month 12 (Esfand) - 29 days normally, 30 in leap years
-        // Jalali leap year: remainder of (year / 33) is in [1, 5, 9, 13, 17, 22, 26, 30]
-        $leap_remainders = [1, 5, 9, 13, 17, 22, 26, 30];
-        return in_array($jy % 33, $leap_remainders) ? 30 : 29;
-    }
-
     /**
      * Hide original WordPress months dropdown.
      * 
@@ -630,6 +613,58 @@ class PERSCA_Plugin
         return array(); // Return empty to prevent WordPress from rendering dropdown
     }
 
+    /**
+     * Apply the date chosen in Bulk Edit to every updated post.
+     *
+     * WordPress's Bulk Edit has no date field; admin-timewrap.js adds one
+     * that submits persca_bulk_date as a local Gregorian 'Y-m-d H:i:s'.
+     * An empty value means "no change". The bulk-posts nonce has already
+     * been checked by edit.php before this action runs.
+     *
+     * @since 1.3.0
+     *
+     * @param int[] $updated          IDs of the posts Bulk Edit updated.
+     * @param array $shared_post_data Submitted Bulk Edit data.
+     */
+    public function bulk_edit_jalali_date($updated, $shared_post_data): void
+    {
+        if (empty($shared_post_data['persca_bulk_date'])) {
+            return;
+        }
+
+        $date = sanitize_text_field(wp_unslash($shared_post_data['persca_bulk_date']));
+        $parsed = DateTime::createFromFormat('Y-m-d H:i:s', $date, wp_timezone());
+        if (!$parsed || $parsed->format('Y-m-d H:i:s') !== $date) {
+            return;
+        }
+
+        foreach ((array) $updated as $post_id) {
+            if (!current_user_can('edit_post', $post_id)) {
+                continue;
+            }
+
+            wp_update_post([
+                'ID'            => (int) $post_id,
+                'post_date'     => $date,
+                'post_date_gmt' => get_gmt_from_date($date),
+                'edit_date'     => true,
+            ]);
+        }
+    }
+
+    /**
+     * Drop the cached Jalali month list of a post's type when the post changes.
+     *
+     * @since 1.3.0
+     *
+     * @param int     $post_id Post ID.
+     * @param WP_Post $post    Post object.
+     */
+    public function flush_jalali_months_cache($post_id, $post): void
+    {
+        wp_cache_delete('persca_jalali_months_' . $post->post_type, 'persca');
+    }
+
     /**
      * Set WordPress timezone to Asia/Tehran if enabled in settings.
      * 
@@ -675,33 +710,60 @@ class PERSCA_Plugin
     }
 
     /**
-     * Enqueue Gutenberg calendar assets.
-     * 
-     * Loads JavaScript and CSS files required for Persian calendar
-     * integration with Gutenberg block editor.
+     * Register shared scripts and styles.
+     *
+     * The date converter is registered as its own versioned handle so the
+     * block editor, the classic editor screens and other plugins all use
+     * the same conversion code.
+     *
+     * @since 1.3.0
      */
-    public function enqueue_gutenberg_calendar_assets(): void
+    public function register_assets(): void
     {
-        // Enqueue main Persian calendar component (includes date converter)
-        wp_enqueue_script(
+        // Shared Jalali/Gregorian converter (window.PersianDateConverter)
+        wp_register_script(
+            'persian-calendar-converter',
+            PERSCA_PLUGIN_URL . 'assets/js/persian-date-converter.js',
+            array(),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+
+        // Site timezone so "today", "now" and stored dates match the server
+        wp_localize_script(
+            'persian-calendar-converter',
+            'PersianCalendarSettings',
+            $this->get_script_settings()
+        );
+
+        // Official holidays and site events (window.PersianCalendarHolidays)
+        wp_register_script(
+            'persian-calendar-holidays',
+            PERSCA_PLUGIN_URL . 'assets/js/persian-calendar-holidays.js',
+            array('persian-calendar-converter'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+
+        // Calendar component (window.PersianCalendar)
+        wp_register_script(
             'persian-calendar-main',
             PERSCA_PLUGIN_URL . 'assets/js/persian-calendar.js',
-            array(),
+            array('persian-calendar-converter', 'persian-calendar-holidays'),
             PERSCA_PLUGIN_VERSION,
             true
         );
 
-        // Enqueue unified Gutenberg integration script
-        wp_enqueue_script(
-            'persian-calendar-gutenberg',
-            PERSCA_PLUGIN_URL . 'assets/js/gutenberg.js',
-            array('wp-data', 'wp-element', 'persian-calendar-main'),
+        // Block editor controls for other plugins (window.persianCalendar.components)
+        wp_register_script(
+            'persian-calendar-components',
+            PERSCA_PLUGIN_URL . 'assets/js/persian-calendar-components.js',
+            array('wp-element', 'wp-date', 'persian-calendar-main'),
             PERSCA_PLUGIN_VERSION,
             true
         );
 
-        // Enqueue Gutenberg calendar styles
-        wp_enqueue_style(
+        wp_register_style(
             'persian-calendar-gutenberg-styles',
             PERSCA_PLUGIN_URL . 'assets/css/gutenberg-calendar.css',
             array(),
@@ -709,6 +771,134 @@ class PERSCA_Plugin
         );
     }
 
+    /**
+     * Enqueue Gutenberg calendar assets.
+     * 
+     * Loads JavaScript and CSS files required for Persian calendar
+     * integration with Gutenberg block editor.
+     */
+    public function enqueue_gutenberg_calendar_assets(): void
+    {
+        // Calendar styles in every block editor, for blocks built on persian-calendar-components
+        wp_enqueue_style('persian-calendar-gutenberg-styles');
+
+        // Post editor only; the site and widget editors have no post date to schedule
+        $screen = get_current_screen();
+        if (! $screen || $screen->base !== 'post') {
+            return;
+        }
+
+        // Jalali date row registered in the post summary panel
+        wp_enqueue_script(
+            'persian-calendar-gutenberg',
+            PERSCA_PLUGIN_URL . 'assets/js/gutenberg.js',
+            array('wp-plugins', 'wp-element', 'wp-data', 'wp-components', 'wp-editor', 'wp-edit-post', 'persian-calendar-components'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+    }
+
+    /**
+     * Enqueue the media modal integration.
+     *
+     * Runs wherever wp_enqueue_media() loads the media modal, in the admin
+     * and on the front end.
+     *
+     * @since 1.3.0
+     */
+    public function enqueue_media_assets(): void
+    {
+        wp_enqueue_script(
+            'persian-calendar-media',
+            PERSCA_PLUGIN_URL . 'assets/js/media-jalali.js',
+            array('media-views', 'persian-calendar-converter'),
+            PERSCA_PLUGIN_VERSION,
+            true
+        );
+    }
+
+    /**
+     * Get settings shared with the calendar scripts.
+     *
+     * @since 1.3.0
+     *
+     * @return array Script settings.
+     */
+    private function get_script_settings(): array
+    {
+        return [
+            // IANA timezone name or a "+03:30" style offset from general settings
+            'timezone' => wp_timezone_string(),
+            // Locale pack for month/weekday names, labels and digits
+            'locale' => $this->get_calendar_locale(),
+            // Days to shift the tabular Hijri calendar to match the official sighting
+            'hijriAdjustment' => (int) apply_filters('persca_hijri_adjustment', 0),
+            'events' => $this->get_calendar_events(),
+            // Digits of dates rendered by PHP, for scripts that redraw server-rendered dates
+            'persianDigits' => $this->is_setting_enabled('enable_persian_digits'),
+        ];
+    }
+
+    /**
+     * Get the calendar locale chosen in the plugin settings.
+     *
+     * @since 1.3.0
+     *
+     * @return string Locale pack code.
+     */
+    private function get_calendar_locale(): string
+    {
+        $locale = isset($this->settings['calendar_locale']) ? (string) $this->settings['calendar_locale'] : '';
+        return array_key_exists($locale, PERSCA_Admin::get_calendar_locales()) ? $locale : 'fa-IR';
+    }
+
+    /**
+     * Get site events shown in the calendar grid alongside the official holidays.
+     *
+     * Events come from the persca_calendar_events option and can be added or
+     * changed with the filter of the same name. Each event is an array with
+     * 'title', 'month' and 'day', an optional 'year' for one-off events,
+     * 'calendar' ('jalali' or 'hijri', default 'jalali') and 'holiday' (bool).
+     *
+     * @since 1.3.0
+     *
+     * @return array List of sanitized events.
+     */
+    private function get_calendar_events(): array
+    {
+        $events = apply_filters('persca_calendar_events', get_option('persca_calendar_events', []));
+        if (!is_array($events)) {
+            return [];
+        }
+
+        $sanitized = [];
+        foreach ($events as $event) {
+            if (!is_array($event) || empty($event['title']) || !isset($event['month'], $event['day'])) {
+                continue;
+            }
+
+            $month = (int) $event['month'];
+            $day = (int) $event['day'];
+            if ($month < 1 || $month > 12 || $day < 1 || $day > 31) {
+                continue;
+            }
+
+            $item = [
+                'title'    => sanitize_text_field($event['title']),
+                'month'    => $month,
+                'day'      => $day,
+                'calendar' => (isset($event['calendar']) && $event['calendar'] === 'hijri') ? 'hijri' : 'jalali',
+                'holiday'  => !empty($event['holiday']),
+            ];
+            if (!empty($event['year'])) {
+                $item['year'] = (int) $event['year'];
+            }
+            $sanitized[] = $item;
+        }
+
+        return $sanitized;
+    }
+
     /**
      * Enqueue admin timewrap and inline edit assets.
      * 
@@ -728,14 +918,16 @@ class PERSCA_Plugin
             return;
         }
 
-        // Enqueue admin timewrap script
+        // Enqueue admin timewrap script (calendar grid for the publish box and Quick Edit)
         wp_enqueue_script(
             'persian-calendar-admin-timewrap',
             PERSCA_PLUGIN_URL . 'assets/js/admin-timewrap.js',
-            array('jquery'),
+            array('jquery', 'persian-calendar-converter', 'persian-calendar-main'),
             PERSCA_PLUGIN_VERSION,
             true
         );
+
+        wp_enqueue_style('persian-calendar-gutenberg-styles');
     }
 
     /**
@@ -765,9 +957,16 @@ class PERSCA_Plugin
     {
         // Always initialize main plugin functionality
         // Each setting is checked independently in init() method
-        $plugin = new self(new PERSCA_Date_Converter());
+        $date_converter = new PERSCA_Date_Converter();
+        $plugin = new self($date_converter);
         $plugin->init();
 
+        // Dynamic blocks are available whatever the settings, like any other block
+        (new PERSCA_Blocks($date_converter))->init();
+
+        // Easy Digital Downloads admin pages, when EDD is active
+        (new PERSCA_EDD($plugin->get_settings()))->init();
+
         // Initialize admin interface if in admin area
         if (is_admin()) {
             (new PERSCA_Admin($plugin))->init();
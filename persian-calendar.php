@@ -25,6 +25,8 @@ define('PERSCA_PLUGIN_URL', plugin_dir_url(__FILE__));
 require_once PERSCA_PLUGIN_DIR . 'includes/class-persca-date-converter.php';
 require_once PERSCA_PLUGIN_DIR . 'includes/class-persca-plugin.php';
 require_once PERSCA_PLUGIN_DIR . 'includes/class-persca-admin.php';
+require_once PERSCA_PLUGIN_DIR . 'includes/class-persca-blocks.php';
+require_once PERSCA_PLUGIN_DIR . 'includes/class-persca-edd.php';
 
 
 // Register WordPress activation and deactivation hooks.